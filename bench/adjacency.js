@@ -0,0 +1,133 @@
+/**
+ * bench/adjacency.js
+ *
+ * Benchmark for the per-node adjacency index in graph/graph.js.
+ * Builds a synthetic Arcana-like graph (packages -> classes -> methods,
+ * plus random invokes), then times the neighbour lookups used while loading
+ * (classesOf, methodsOf, pkgDepsOf) against the previous strategy of
+ * scanning every edge with the requested label.
+ */
+
+import { createGraph, lift } from '../graph/graph.js';
+import { classesOf, methodsOf, pkgDepsOf } from '../model/nodes.js';
+
+/**
+ * buildSyntheticGraphData:
+ *   - Returns raw { elements: { nodes, edges } } data shaped like an Arcana export.
+ *   - A tiny linear congruential generator keeps runs reproducible.
+ */
+export function buildSyntheticGraphData({
+	packages = 100,
+	classesPerPackage = 20,
+	methodsPerClass = 20,
+	callsPerMethod = 3,
+	seed = 42
+} = {}) {
+	let state = seed;
+	const random = (n) => {
+		state = (state * 1664525 + 1013904223) % 4294967296;
+		return state % n;
+	};
+
+	const nodes = [];
+	const edges = [];
+	const methodIds = [];
+	const node = (id, labels) => nodes.push({ data: { id, labels, properties: { simpleName: id, qualifiedName: id } } });
+	const edge = (source, target, label) => edges.push({ data: { source, target, label, properties: { weight: 1 } } });
+
+	for (let p = 0; p < packages; p++) {
+		const pkgId = `p${p}`;
+		node(pkgId, ["Container"]);
+		for (let c = 0; c < classesPerPackage; c++) {
+			const clsId = `${pkgId}.C${c}`;
+			node(clsId, ["Structure"]);
+			edge(pkgId, clsId, "contains");
+			for (let m = 0; m < methodsPerClass; m++) {
+				const methodId = `${clsId}.m${m}()`;
+				node(methodId, ["Operation"]);
+				edge(clsId, methodId, "hasScript");
+				methodIds.push(methodId);
+			}
+		}
+	}
+
+	methodIds.forEach(methodId => {
+		for (let i = 0; i < callsPerMethod; i++) {
+			edge(methodId, methodIds[random(methodIds.length)], "invokes");
+		}
+	});
+
+	return { elements: { nodes, edges } };
+}
+
+// The pre-index strategy: one pass over all edges with the label, per node and label
+const scanTargets = (graph) => (node, label) =>
+	graph.edges(label, (e) => e.source().id() === node.id()).map((e) => e.target());
+const scanSources = (graph) => (node, label) =>
+	graph.edges(label, (e) => e.target().id() === node.id()).map((e) => e.source());
+
+// Simulates the load path (bubble tea data + package dependencies) with a given lookup strategy
+function loadPass(graph, targets, sources) {
+	const packages = graph.nodes(n => n.hasLabel("Container"));
+	let visited = 0;
+	packages.forEach(pkg => {
+		const classes = targets(pkg, "contains").filter(n => n.hasLabel("Structure"));
+		classes.forEach(cls => {
+			cls.deriveProperty("package", pkg);
+			visited += targets(cls, "hasScript").length;
+		});
+	});
+	packages.forEach(pkg => {
+		targets(pkg, "contains").forEach(cls => {
+			visited += targets(cls, "calls").length + sources(cls, "calls").length;
+		});
+	});
+	return visited;
+}
+
+const time = (fn) => {
+	const start = performance.now();
+	const result = fn();
+	return { ms: performance.now() - start, result };
+};
+
+/**
+ * runAdjacencyBenchmark:
+ *   - Builds the synthetic graph, derives class-level calls like buildContext does,
+ *     and times one load pass with edge scanning and one with the adjacency index.
+ *
+ * @param {Object} options - Sizes passed to buildSyntheticGraphData.
+ * @returns {{ nodes: number, edges: number, buildMs: number, scanMs: number, indexedMs: number, speedup: number }}
+ */
+export function runAdjacencyBenchmark(options = {}) {
+	const data = buildSyntheticGraphData(options);
+	const invokes = data.elements.edges.filter(e => e.data.label === "invokes");
+	const hasScript = data.elements.edges.filter(e => e.data.label === "hasScript");
+	const calls = lift(hasScript, invokes, "calls").filter(e => e.data.source !== e.data.target);
+	data.elements.edges = [...data.elements.edges, ...calls];
+
+	const { ms: buildMs, result: graph } = time(() => createGraph(data));
+
+	const scan = time(() => loadPass(graph, scanTargets(graph), scanSources(graph)));
+	const indexed = time(() => loadPass(
+		graph,
+		(node, label) => label === "contains" ? classesOf(node) : label === "hasScript" ? methodsOf(node) : node.targets(label),
+		(node, label) => node.sources(label)
+	));
+
+	if (scan.result !== indexed.result) {
+		throw new Error(`Lookup strategies disagree: ${scan.result} vs ${indexed.result}`);
+	}
+
+	// Touch pkgDepsOf too, as the arrows and info panel do on selection
+	graph.nodes(n => n.hasLabel("Container")).forEach(pkgDepsOf);
+
+	return {
+		nodes: graph.nodes().length,
+		edges: graph.edges().length,
+		buildMs,
+		scanMs: scan.ms,
+		indexedMs: indexed.ms,
+		speedup: scan.ms / indexed.ms
+	};
+}
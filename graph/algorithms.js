@@ -0,0 +1,319 @@
+/**
+ * graph/algorithms.js
+ *
+ * Traversals and classic algorithms over the graph in graph/graph.js,
+ * for any edge label. They only use the node API (incoming/outgoing), so
+ * they run in O(V + E) over the visited part of the graph.
+ *
+ * Common parameters:
+ *   - label: the edge label to follow (e.g. "dependsOn", "calls"),
+ *            or undefined to follow every edge.
+ *   - direction: "out" (default) follows edges forward, "in" backward,
+ *                "both" ignores direction.
+ *   - nodes: where an algorithm works on a node set, edges leaving that
+ *            set are ignored (e.g. only packages, only classes).
+ */
+
+/**
+ * Returns the neighbours of a node over one edge label, each paired with its edge.
+ *
+ * @param {Object} node
+ * @param {String} label
+ * @param {String} direction - "out", "in" or "both".
+ * @returns {Array<[Object, Object]>} - [neighbour, edge] pairs.
+ */
+export function neighboursOf(node, label, direction = "out") {
+	const result = [];
+	if (direction !== "in") {
+		node.outgoing(label).forEach(e => e.target() && result.push([e.target(), e]));
+	}
+	if (direction !== "out") {
+		node.incoming(label).forEach(e => e.source() && result.push([e.source(), e]));
+	}
+	return result;
+}
+
+// Accepts a single node or an array of nodes
+const asArray = (nodes) => (Array.isArray(nodes) ? nodes : [nodes]);
+
+/**
+ * Breadth-first traversal.
+ *
+ * @param {Object|Array} start - Start node(s).
+ * @param {String} label
+ * @param {{ direction?: String, maxDepth?: Number }} options
+ * @returns {Array<Object>} - Visited nodes in BFS order, starting with the start nodes.
+ */
+export function bfs(start, label, { direction = "out", maxDepth = Infinity } = {}) {
+	const visited = new Set(asArray(start));
+	const result = [...visited];
+	let frontier = [...visited];
+
+	for (let depth = 0; frontier.length > 0 && depth < maxDepth; depth++) {
+		const next = [];
+		frontier.forEach(node => {
+			neighboursOf(node, label, direction).forEach(([neighbour]) => {
+				if (!visited.has(neighbour)) {
+					visited.add(neighbour);
+					result.push(neighbour);
+					next.push(neighbour);
+				}
+			});
+		});
+		frontier = next;
+	}
+
+	return result;
+}
+
+/**
+ * Depth-first traversal (iterative, so deep graphs do not overflow the stack).
+ *
+ * @param {Object|Array} start - Start node(s).
+ * @param {String} label
+ * @param {{ direction?: String }} options
+ * @returns {Array<Object>} - Visited nodes in DFS preorder.
+ */
+export function dfs(start, label, { direction = "out" } = {}) {
+	const visited = new Set();
+	const result = [];
+	// Reversed so the first start node / first neighbour is visited first
+	const stack = [...asArray(start)].reverse();
+
+	while (stack.length > 0) {
+		const node = stack.pop();
+		if (visited.has(node)) continue;
+		visited.add(node);
+		result.push(node);
+		const neighbours = neighboursOf(node, label, direction);
+		for (let i = neighbours.length - 1; i >= 0; i--) {
+			if (!visited.has(neighbours[i][0])) stack.push(neighbours[i][0]);
+		}
+	}
+
+	return result;
+}
+
+/**
+ * Returns every node reachable from the start node(s) through at least one edge.
+ * A start node is only included if it lies on a cycle.
+ *
+ * @param {Object|Array} start - Start node(s).
+ * @param {String} label
+ * @param {{ direction?: String, maxDepth?: Number }} options
+ * @returns {Set<Object>}
+ */
+export function reachableFrom(start, label, { direction = "out", maxDepth = Infinity } = {}) {
+	const reached = new Set();
+	let frontier = asArray(start);
+
+	for (let depth = 0; frontier.length > 0 && depth < maxDepth; depth++) {
+		const next = [];
+		frontier.forEach(node => {
+			neighboursOf(node, label, direction).forEach(([neighbour]) => {
+				if (!reached.has(neighbour)) {
+					reached.add(neighbour);
+					next.push(neighbour);
+				}
+			});
+		});
+		frontier = next;
+	}
+
+	return reached;
+}
+
+/**
+ * Shortest path between two nodes. Without a weight function every edge
+ * counts 1 (BFS); with one, Dijkstra is used and weights must be >= 0.
+ *
+ * @param {Object} from
+ * @param {Object} to
+ * @param {String} label
+ * @param {{ direction?: String, weight?: (edge: Object) => Number }} options
+ * @returns {{ nodes: Array<Object>, edges: Array<Object>, length: Number }|null} - null if unreachable.
+ */
+export function shortestPath(from, to, label, { direction = "out", weight = null } = {}) {
+	const previous = new Map([[from, null]]); // node -> [previousNode, edge]
+	const distance = new Map([[from, 0]]);
+
+	if (weight === null) {
+		let frontier = [from];
+		while (frontier.length > 0 && !previous.has(to)) {
+			const next = [];
+			frontier.forEach(node => {
+				neighboursOf(node, label, direction).forEach(([neighbour, edge]) => {
+					if (!previous.has(neighbour)) {
+						previous.set(neighbour, [node, edge]);
+						distance.set(neighbour, distance.get(node) + 1);
+						next.push(neighbour);
+					}
+				});
+			});
+			frontier = next;
+		}
+	} else {
+		// Dijkstra with a simple array-based queue; fine for the graph sizes we render
+		const done = new Set();
+		const queue = [from];
+		while (queue.length > 0) {
+			let best = 0;
+			for (let i = 1; i < queue.length; i++) {
+				if (distance.get(queue[i]) < distance.get(queue[best])) best = i;
+			}
+			const node = queue.splice(best, 1)[0];
+			if (done.has(node)) continue;
+			done.add(node);
+			if (node === to) break;
+
+			neighboursOf(node, label, direction).forEach(([neighbour, edge]) => {
+				const w = weight(edge);
+				if (w < 0) {
+					throw new Error("shortestPath: negative edge weights are not supported");
+				}
+				const candidate = distance.get(node) + w;
+				if (!distance.has(neighbour) || candidate < distance.get(neighbour)) {
+					distance.set(neighbour, candidate);
+					previous.set(neighbour, [node, edge]);
+					queue.push(neighbour);
+				}
+			});
+		}
+	}
+
+	if (!previous.has(to)) return null;
+
+	const nodes = [to];
+	const edges = [];
+	for (let step = previous.get(to); step; step = previous.get(step[0])) {
+		nodes.unshift(step[0]);
+		edges.unshift(step[1]);
+	}
+	return { nodes, edges, length: distance.get(to) };
+}
+
+/**
+ * Tarjan's strongly connected components, restricted to a node set.
+ * Iterative, so long dependency chains do not overflow the stack.
+ *
+ * @param {Array<Object>} nodes - The node set, e.g. all packages.
+ * @param {String} label
+ * @returns {Array<Array<Object>>} - Components in reverse topological order
+ *          (a component only depends on components listed before it).
+ */
+export function stronglyConnectedComponents(nodes, label) {
+	const inSet = new Set(nodes);
+	const index = new Map();
+	const lowlink = new Map();
+	const onStack = new Set();
+	const stack = [];
+	const components = [];
+	let counter = 0;
+
+	const successors = (node) => neighboursOf(node, label, "out")
+		.map(([neighbour]) => neighbour)
+		.filter(neighbour => inSet.has(neighbour));
+
+	nodes.forEach(root => {
+		if (index.has(root)) return;
+
+		// Each frame: [node, its successors, position of the next successor to visit]
+		const callStack = [[root, successors(root), 0]];
+		index.set(root, counter);
+		lowlink.set(root, counter++);
+		stack.push(root);
+		onStack.add(root);
+
+		while (callStack.length > 0) {
+			const frame = callStack[callStack.length - 1];
+			const [node, next] = frame;
+
+			if (frame[2] < next.length) {
+				const successor = next[frame[2]++];
+				if (!index.has(successor)) {
+					index.set(successor, counter);
+					lowlink.set(successor, counter++);
+					stack.push(successor);
+					onStack.add(successor);
+					callStack.push([successor, successors(successor), 0]);
+				} else if (onStack.has(successor)) {
+					lowlink.set(node, Math.min(lowlink.get(node), index.get(successor)));
+				}
+				continue;
+			}
+
+			// All successors done: close the component if node is its root
+			callStack.pop();
+			if (lowlink.get(node) === index.get(node)) {
+				const component = [];
+				let member;
+				do {
+					member = stack.pop();
+					onStack.delete(member);
+					component.push(member);
+				} while (member !== node);
+				components.push(component);
+			}
+			if (callStack.length > 0) {
+				const parent = callStack[callStack.length - 1][0];
+				lowlink.set(parent, Math.min(lowlink.get(parent), lowlink.get(node)));
+			}
+		}
+	});
+
+	return components;
+}
+
+/**
+ * Returns the cyclic parts of a node set: components with more than one
+ * node, and single nodes with an edge to themselves.
+ *
+ * @param {Array<Object>} nodes - e.g. all packages (label "dependsOn") or classes (label "calls").
+ * @param {String} label
+ * @returns {Array<Array<Object>>}
+ */
+export function cyclesOf(nodes, label) {
+	return stronglyConnectedComponents(nodes, label).filter(component =>
+		component.length > 1 ||
+		component[0].outgoing(label).some(e => e.target() === component[0])
+	);
+}
+
+/**
+ * Topological order of a node set (Kahn's algorithm): every node comes
+ * before the nodes it has edges to. Ties keep the order of 'nodes'.
+ *
+ * @param {Array<Object>} nodes
+ * @param {String} label
+ * @returns {Array<Object>}
+ * @throws {Error} - If the edges form a cycle; the message names the nodes involved.
+ */
+export function topologicalSort(nodes, label) {
+	const inSet = new Set(nodes);
+	const inDegree = new Map(nodes.map(n => [n, 0]));
+	nodes.forEach(node => {
+		neighboursOf(node, label, "out").forEach(([neighbour]) => {
+			if (inSet.has(neighbour)) inDegree.set(neighbour, inDegree.get(neighbour) + 1);
+		});
+	});
+
+	const queue = nodes.filter(n => inDegree.get(n) === 0);
+	const result = [];
+	while (queue.length > 0) {
+		const node = queue.shift();
+		result.push(node);
+		neighboursOf(node, label, "out").forEach(([neighbour]) => {
+			if (!inSet.has(neighbour)) return;
+			inDegree.set(neighbour, inDegree.get(neighbour) - 1);
+			if (inDegree.get(neighbour) === 0) queue.push(neighbour);
+		});
+	}
+
+	if (result.length < nodes.length) {
+		const cycle = cyclesOf(nodes.filter(n => inDegree.get(n) > 0), label)[0] ?? [];
+		const names = cycle.map(n => n.property("simpleName") ?? n.id());
+		throw new Error(`Cannot sort "${label}" topologically: cycle through ${names.join(", ")}`);
+	}
+
+	return result;
+}
@@ -0,0 +1,129 @@
+// Undo/redo on top of the graph's mutation events (see graph.on / graph.batch).
+//
+// Every top-level mutation, or every transaction(name, fn), becomes one entry.
+// Changes to render-time properties and derived edges are not recorded: they are
+// recomputed from the edited graph anyway.
+
+// How to revert ('undo') and reapply ('redo') each kind of event
+const inverses = {
+	nodeAdded: {
+		undo: (graph, { node }) => graph.removeNode(node),
+		redo: (graph, { node }) => graph.addNode(node)
+	},
+	nodeRemoved: {
+		undo: (graph, { node }) => graph.addNode(node),
+		redo: (graph, { node }) => graph.removeNode(node)
+	},
+	edgeAdded: {
+		undo: (graph, { edge }) => graph.removeEdge(edge),
+		redo: (graph, { edge }) => graph.insertEdge(edge)
+	},
+	edgeRemoved: {
+		undo: (graph, { edge }) => graph.insertEdge(edge),
+		redo: (graph, { edge }) => graph.removeEdge(edge)
+	},
+	propertyChanged: {
+		undo: (graph, { element, key, oldValue }) => element.property(key, oldValue ?? null),
+		redo: (graph, { element, key, newValue }) => element.property(key, newValue ?? null)
+	},
+	labelChanged: {
+		undo: (graph, { element, oldValue }) => relabel(element, oldValue),
+		redo: (graph, { element, newValue }) => relabel(element, newValue)
+	},
+	cleared: {
+		undo: (graph, { nodes, edges }) => {
+			nodes.forEach(node => graph.addNode(node));
+			edges.forEach(edge => graph.insertEdge(edge));
+		},
+		redo: (graph) => graph.clear()
+	}
+};
+
+// Nodes carry a list of labels, edges a single one
+const relabel = (element, value) => Array.isArray(value) ? element.labels(value) : element.label(value);
+
+/**
+ * createChangeLog:
+ *   - Starts recording the mutations of 'graph' and returns the log.
+ *   - log.transaction(name, fn) groups everything fn changes into one undoable entry.
+ *   - log.undo() / log.redo() step through the entries; they return the entry, or null.
+ *   - Undoing and redoing go through the graph as well, so its listeners see them as changes.
+ *   - 'limit' caps how many entries are kept for undo.
+ */
+export const createChangeLog = (graph, { limit = 100 } = {}) => {
+	const undoStack = [];
+	const redoStack = [];
+	let pendingName = null;
+	let replaying = false;
+
+	const record = ({ events }) => {
+		if (replaying) return;
+
+		const recorded = events.filter(e => !e.derived);
+		if (recorded.length === 0) return;
+
+		undoStack.push({ name: pendingName ?? recorded[0].type, events: recorded });
+		if (undoStack.length > limit) {
+			undoStack.shift();
+		}
+		redoStack.length = 0;
+	};
+
+	const replay = (entry, direction) => {
+		const events = direction === "undo" ? [...entry.events].reverse() : entry.events;
+		replaying = true;
+		try {
+			graph.batch(() => events.forEach(event => inverses[event.type][direction](graph, event)));
+		} finally {
+			replaying = false;
+		}
+	};
+
+	graph.on("change.changeLog", record);
+
+	return {
+		transaction(name, fn) {
+			if (pendingName !== null) {
+				// Nested transactions are part of the outer one
+				return graph.batch(fn);
+			}
+			pendingName = name;
+			try {
+				return graph.batch(fn);
+			} finally {
+				pendingName = null;
+			}
+		},
+		undo() {
+			const entry = undoStack.pop();
+			if (!entry) return null;
+			redoStack.push(entry);
+			replay(entry, "undo");
+			return entry;
+		},
+		redo() {
+			const entry = redoStack.pop();
+			if (!entry) return null;
+			undoStack.push(entry);
+			replay(entry, "redo");
+			return entry;
+		},
+		canUndo() {
+			return undoStack.length > 0;
+		},
+		canRedo() {
+			return redoStack.length > 0;
+		},
+		entries() {
+			// Oldest first, as { name, events }
+			return [...undoStack];
+		},
+		clear() {
+			undoStack.length = 0;
+			redoStack.length = 0;
+		},
+		detach() {
+			graph.on("change.changeLog", null);
+		}
+	};
+};
@@ -0,0 +1,204 @@
+/**
+ * graph/diff.js
+ *
+ * Structural diff between two graph snapshots (e.g. two Arcana runs of the
+ * same system). The result only holds plain data (ids, names, property
+ * values), so it can be rendered by the UI or JSON.stringify'd by a script.
+ */
+
+// Property values are compared structurally (keywords, pre/postConditions are arrays)
+const sameValue = (a, b) => JSON.stringify(a) === JSON.stringify(b);
+
+/**
+ * matchNodes:
+ *   - Pairs the nodes of two graphs. With matchBy "id" or "qualifiedName"
+ *     only that key is used; "auto" matches by id first and pairs the
+ *     remaining nodes by a qualifiedName that is unique on both sides.
+ *
+ * @param {Object} before - The older graph.
+ * @param {Object} after - The newer graph.
+ * @param {String} matchBy - "auto" (default), "id" or "qualifiedName".
+ * @returns {{ pairs: Map, added: Array, removed: Array }} - pairs maps before-nodes to after-nodes.
+ */
+export function matchNodes(before, after, matchBy = "auto") {
+	const pairs = new Map();
+	const matchedAfter = new Set();
+
+	if (matchBy === "id" || matchBy === "auto") {
+		before.nodes().forEach(node => {
+			const other = after.node(node.id());
+			if (other) {
+				pairs.set(node, other);
+				matchedAfter.add(other);
+			}
+		});
+	}
+
+	if (matchBy === "qualifiedName" || matchBy === "auto") {
+		// Only unambiguous names are used: overloads may share a qualifiedName
+		const byName = (nodes) => {
+			const map = new Map();
+			nodes.forEach(node => {
+				const name = node.property("qualifiedName");
+				if (name === undefined) return;
+				map.set(name, map.has(name) ? null : node);
+			});
+			return map;
+		};
+		const beforeByName = byName(before.nodes().filter(n => !pairs.has(n)));
+		const afterByName = byName(after.nodes().filter(n => !matchedAfter.has(n)));
+		beforeByName.forEach((node, name) => {
+			const other = afterByName.get(name);
+			if (node && other) {
+				pairs.set(node, other);
+				matchedAfter.add(other);
+			}
+		});
+	}
+
+	return {
+		pairs,
+		added: after.nodes().filter(n => !matchedAfter.has(n)),
+		removed: before.nodes().filter(n => !pairs.has(n))
+	};
+}
+
+/**
+ * diffProperties:
+ *   - Compares two property objects.
+ *
+ * @returns {{ added: Object, removed: Object, changed: Object }|null} - null if equal;
+ *          changed maps each key to { before, after }.
+ */
+export function diffProperties(beforeProps, afterProps) {
+	const added = {};
+	const removed = {};
+	const changed = {};
+
+	Object.entries(beforeProps).forEach(([key, value]) => {
+		if (!(key in afterProps)) {
+			removed[key] = value;
+		} else if (!sameValue(value, afterProps[key])) {
+			changed[key] = { before: value, after: afterProps[key] };
+		}
+	});
+	Object.entries(afterProps).forEach(([key, value]) => {
+		if (!(key in beforeProps)) {
+			added[key] = value;
+		}
+	});
+
+	const isEmpty = [added, removed, changed].every(o => Object.keys(o).length === 0);
+	return isEmpty ? null : { added, removed, changed };
+}
+
+// Plain description of a node
+const nodeSummary = (node) => ({
+	id: node.id(),
+	qualifiedName: node.property("qualifiedName"),
+	labels: [...node.labels()]
+});
+
+// Plain description of an edge, with endpoints expressed as ids of the "after" graph where matched
+const edgeSummary = (edge, endpoint) => ({
+	source: endpoint(edge.data.source),
+	target: endpoint(edge.data.target),
+	label: edge.label(),
+	properties: edge.exportedProperties()
+});
+
+/**
+ * diffGraphs:
+ *   - Reports added, removed and modified nodes and edges between two graphs.
+ *   - Render-time properties (see node.deriveProperty) and derived edges
+ *     (see graph.addDerivedEdges) are ignored unless includeDerived is set.
+ *   - Edges are matched by (source, label, target) after node matching;
+ *     parallel edges are paired in order.
+ *
+ * @param {Object} before - The older graph.
+ * @param {Object} after - The newer graph.
+ * @param {{ matchBy?: String, includeDerived?: Boolean }} options
+ * @returns {Object} - { matchBy, nodes: { added, removed, modified }, edges: { added, removed, modified }, summary }
+ */
+export function diffGraphs(before, after, { matchBy = "auto", includeDerived = false } = {}) {
+	const { pairs, added, removed } = matchNodes(before, after, matchBy);
+
+	// Nodes
+	const modifiedNodes = [];
+	pairs.forEach((afterNode, beforeNode) => {
+		const properties = diffProperties(
+			beforeNode.exportedProperties(includeDerived),
+			afterNode.exportedProperties(includeDerived)
+		);
+		const labels = {
+			added: afterNode.labels().filter(l => !beforeNode.hasLabel(l)),
+			removed: beforeNode.labels().filter(l => !afterNode.hasLabel(l))
+		};
+		const labelsChanged = labels.added.length > 0 || labels.removed.length > 0;
+		if (properties || labelsChanged || beforeNode.id() !== afterNode.id()) {
+			modifiedNodes.push({
+				...nodeSummary(afterNode),
+				beforeId: beforeNode.id(),
+				labels: labelsChanged ? labels : null,
+				properties
+			});
+		}
+	});
+
+	// Edges: translate "before" endpoints into "after" ids so both sides share keys
+	const idInAfter = new Map([...pairs].map(([b, a]) => [b.id(), a.id()]));
+	const beforeEndpoint = (id) => idInAfter.get(id) ?? id;
+	const afterEndpoint = (id) => id;
+	const keep = (edge) => includeDerived || !edge.isDerived();
+
+	const group = (graph, endpoint) => {
+		const groups = new Map();
+		graph.edges().filter(keep).forEach(edge => {
+			const key = `${endpoint(edge.data.source)}\u0000${edge.label()}\u0000${endpoint(edge.data.target)}`;
+			if (!groups.has(key)) groups.set(key, []);
+			groups.get(key).push(edge);
+		});
+		return groups;
+	};
+	const beforeEdges = group(before, beforeEndpoint);
+	const afterEdges = group(after, afterEndpoint);
+
+	const addedEdges = [];
+	const removedEdges = [];
+	const modifiedEdges = [];
+	new Set([...beforeEdges.keys(), ...afterEdges.keys()]).forEach(key => {
+		const olds = beforeEdges.get(key) ?? [];
+		const news = afterEdges.get(key) ?? [];
+		for (let i = 0; i < Math.max(olds.length, news.length); i++) {
+			if (i >= olds.length) {
+				addedEdges.push(edgeSummary(news[i], afterEndpoint));
+			} else if (i >= news.length) {
+				removedEdges.push(edgeSummary(olds[i], beforeEndpoint));
+			} else {
+				const properties = diffProperties(olds[i].exportedProperties(), news[i].exportedProperties());
+				if (properties) {
+					modifiedEdges.push({ ...edgeSummary(news[i], afterEndpoint), properties });
+				}
+			}
+		}
+	});
+
+	const result = {
+		matchBy,
+		nodes: {
+			added: added.map(nodeSummary),
+			removed: removed.map(nodeSummary),
+			modified: modifiedNodes
+		},
+		edges: {
+			added: addedEdges,
+			removed: removedEdges,
+			modified: modifiedEdges
+		}
+	};
+	result.summary = {
+		nodes: { added: added.length, removed: removed.length, modified: modifiedNodes.length },
+		edges: { added: addedEdges.length, removed: removedEdges.length, modified: modifiedEdges.length }
+	};
+	return result;
+}
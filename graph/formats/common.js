@@ -0,0 +1,119 @@
+/**
+ * graph/formats/common.js
+ *
+ * Helpers shared by the importers in graph/formats/. Every importer produces
+ * the same { elements: { nodes, edges } } structure that createGraph expects:
+ *   - nodes: { data: { id, labels: [...], properties: {...} } }
+ *   - edges: { data: { source, target, label, properties: {...} } }
+ */
+
+// Edge label used when a format leaves edges unlabelled (e.g. jdeps DOT output,
+// plain CSV edge lists): such exports are almost always dependency graphs.
+export const DEFAULT_EDGE_LABEL = "dependsOn";
+
+/**
+ * Splits a label list such as ":Container:Package" or "Container;Package".
+ *
+ * @param {String} value - Labels separated by ':', ';' or ','.
+ * @returns {Array<String>}
+ */
+export function splitLabels(value) {
+	if (value === undefined || value === null) return [];
+	return String(value).split(/[:;,]/).map(l => l.trim()).filter(l => l);
+}
+
+/**
+ * Converts a raw string to the declared type (GraphML/GEXF/CSV type names).
+ * Unknown types are kept as strings.
+ *
+ * @param {String} value - The raw value.
+ * @param {String} type - e.g. "int", "long", "float", "double", "boolean", "string".
+ * @returns {*}
+ */
+export function convertValue(value, type) {
+	switch ((type ?? "string").toLowerCase()) {
+		case "int":
+		case "integer":
+		case "long":
+		case "short":
+		case "byte":
+		case "float":
+		case "double":
+		case "number": {
+			const n = Number(value);
+			return Number.isNaN(n) ? value : n;
+		}
+		case "boolean":
+			return String(value).toLowerCase() === "true";
+		default:
+			return value;
+	}
+}
+
+/**
+ * createElementCollector:
+ *   - Accumulates nodes and edges, fills in a simpleName where the source
+ *     format only has an id or a display label, and adds nodes for edge
+ *     endpoints that were never declared (as edge lists often do).
+ */
+export function createElementCollector() {
+	const nodes = new Map();
+	const edges = [];
+
+	return {
+		node(id, labels = [], properties = {}) {
+			const key = String(id);
+			const existing = nodes.get(key);
+			if (existing) {
+				// Merge repeated declarations (DOT allows these)
+				labels.forEach(l => existing.data.labels.includes(l) || existing.data.labels.push(l));
+				Object.assign(existing.data.properties, properties);
+				return existing;
+			}
+			const node = { data: { id: key, labels: [...labels], properties: { ...properties } } };
+			nodes.set(key, node);
+			return node;
+		},
+		edge(source, target, label, properties = {}) {
+			const edgeLabel = label === undefined || label === null || label === "" ? DEFAULT_EDGE_LABEL : String(label);
+			const edge = { data: { source: String(source), target: String(target), label: edgeLabel, properties: { ...properties } } };
+			edges.push(edge);
+			return edge;
+		},
+		result() {
+			edges.forEach(({ data: { source, target } }) => {
+				if (!nodes.has(source)) this.node(source);
+				if (!nodes.has(target)) this.node(target);
+			});
+			nodes.forEach(node => {
+				const properties = node.data.properties;
+				if (properties.simpleName === undefined) {
+					properties.simpleName = String(properties.name ?? properties.label ?? node.data.id);
+				}
+				if (properties.qualifiedName === undefined) {
+					properties.qualifiedName = node.data.id;
+				}
+			});
+			return { elements: { nodes: [...nodes.values()], edges } };
+		}
+	};
+}
+
+/**
+ * Parses an XML document with the browser's DOMParser, failing on parser errors.
+ *
+ * @param {String} text - The XML source.
+ * @returns {Document}
+ */
+export function parseXML(text) {
+	const doc = new DOMParser().parseFromString(text, "application/xml");
+	const error = doc.getElementsByTagName("parsererror")[0];
+	if (error) {
+		throw new Error(`not well-formed XML (${error.textContent.trim().split("\n")[0]})`);
+	}
+	return doc;
+}
+
+// Direct children of an element with a given local name (namespace-agnostic)
+export const childrenNamed = (element, name) =>
+	Array.from(element.children).filter(child => child.localName === name);
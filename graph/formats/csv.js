@@ -0,0 +1,154 @@
+/**
+ * graph/formats/csv.js
+ *
+ * CSV importer for node/edge file pairs, or a single edge list.
+ *   - A file with source and target columns is an edge file; one with only an
+ *     id column is a node file. Neo4j admin-import headers (:ID, :LABEL,
+ *     :START_ID, :END_ID, :TYPE) are understood as well.
+ *   - Node labels come from a "labels" column, separated by ';' or ':'.
+ *   - Edge labels come from a "label" or "type" column (DEFAULT_EDGE_LABEL otherwise).
+ *   - "name:int"-style headers type their column; "weight" is always numeric.
+ *   - Nodes referenced only by edges are created on the fly.
+ */
+
+import { convertValue, splitLabels, createElementCollector } from './common.js';
+
+/**
+ * Parses RFC 4180 CSV (quoted fields, doubled quotes, embedded newlines).
+ * The delimiter is guessed from the header line: comma, semicolon or tab.
+ *
+ * @param {String} text - The CSV source.
+ * @returns {Array<Array<String>>} - Rows of fields, blank lines skipped.
+ */
+export function parseCSV(text) {
+	const headerLine = text.slice(0, text.indexOf("\n") === -1 ? text.length : text.indexOf("\n"));
+	const delimiter = [",", ";", "\t"]
+		.map(d => [d, headerLine.split(d).length])
+		.sort((a, b) => b[1] - a[1])[0][0];
+
+	const rows = [];
+	let row = [];
+	let field = "";
+	let quoted = false;
+
+	for (let i = 0; i < text.length; i++) {
+		const ch = text[i];
+		if (quoted) {
+			if (ch === '"' && text[i + 1] === '"') {
+				field += '"';
+				i++;
+			} else if (ch === '"') {
+				quoted = false;
+			} else {
+				field += ch;
+			}
+		} else if (ch === '"' && field === "") {
+			quoted = true;
+		} else if (ch === delimiter) {
+			row.push(field);
+			field = "";
+		} else if (ch === "\n" || ch === "\r") {
+			if (ch === "\r" && text[i + 1] === "\n") i++;
+			row.push(field);
+			if (row.some(f => f !== "")) rows.push(row);
+			row = [];
+			field = "";
+		} else {
+			field += ch;
+		}
+	}
+	if (quoted) {
+		throw new Error("unterminated quoted field");
+	}
+	row.push(field);
+	if (row.some(f => f !== "")) rows.push(row);
+
+	return rows;
+}
+
+// Maps a header cell ("name", "name:type" or ":TYPE") to { key, role, type },
+// where role is one of id/labels/source/target/label, or null for a property
+function readColumn(header) {
+	const trimmed = header.trim();
+	const colon = trimmed.indexOf(":");
+	const name = colon === -1 ? trimmed : trimmed.slice(0, colon);
+	const type = colon === -1 ? undefined : trimmed.slice(colon + 1);
+	const lowerName = name.toLowerCase();
+	// Neo4j allows id spaces, e.g. "pkgId:ID(Package)"
+	const neo4jType = type?.toUpperCase().replace(/\(.*\)$/, "");
+
+	if (neo4jType === "ID" || (!type && lowerName === "id")) return { key: "id", role: "id" };
+	if (neo4jType === "LABEL" || (!type && lowerName === "labels")) return { key: "labels", role: "labels" };
+	if (neo4jType === "START_ID" || (!type && ["source", "from"].includes(lowerName))) return { key: "source", role: "source" };
+	if (neo4jType === "END_ID" || (!type && ["target", "to"].includes(lowerName))) return { key: "target", role: "target" };
+	if (neo4jType === "TYPE" || (!type && ["label", "type"].includes(lowerName))) return { key: "label", role: "label" };
+	return { key: name, role: null, type: lowerName === "weight" ? "double" : type };
+}
+
+// Turns a parsed file into an array of { roles, properties } records
+function readRecords(file) {
+	const rows = parseCSV(file.text);
+	if (rows.length === 0) {
+		throw new Error(`${file.name} is empty`);
+	}
+	const columns = rows[0].map(readColumn);
+	return {
+		columns,
+		records: rows.slice(1).map((row, i) => {
+			if (row.length !== columns.length) {
+				throw new Error(`${file.name}, row ${i + 2}: expected ${columns.length} fields, found ${row.length}`);
+			}
+			const roles = {};
+			const properties = {};
+			columns.forEach((column, j) => {
+				if (column.role) {
+					roles[column.role] = row[j];
+				} else if (row[j] !== "") {
+					properties[column.key] = convertValue(row[j], column.type);
+				}
+			});
+			return { roles, properties, row: i + 2 };
+		})
+	};
+}
+
+export const csvImporter = {
+	name: "CSV",
+	extensions: [".csv", ".tsv"],
+	sniff: () => false, // too ambiguous to recognize by content alone
+	multipleFiles: true,
+	parse(files) {
+		const collector = createElementCollector();
+		const parsed = files.map(file => ({ file, ...readRecords(file) }));
+		const isEdgeFile = ({ columns }) => columns.some(c => c.role === "source") && columns.some(c => c.role === "target");
+
+		const edgeFiles = parsed.filter(isEdgeFile);
+		const nodeFiles = parsed.filter(p => !isEdgeFile(p));
+		if (edgeFiles.length === 0) {
+			throw new Error("no edge file found: one CSV file needs source and target (or :START_ID and :END_ID) columns");
+		}
+
+		nodeFiles.forEach(({ file, columns, records }) => {
+			if (!columns.some(c => c.role === "id")) {
+				throw new Error(`${file.name} has neither an id column nor source/target columns`);
+			}
+			records.forEach(({ roles, properties, row }) => {
+				if (!roles.id) {
+					throw new Error(`${file.name}, row ${row}: empty id`);
+				}
+				collector.node(roles.id, splitLabels(roles.labels), properties);
+			});
+		});
+
+		edgeFiles.forEach(({ file, records }) => {
+			records.forEach(({ roles, properties, row }) => {
+				if (!roles.source || !roles.target) {
+					throw new Error(`${file.name}, row ${row}: empty source or target`);
+				}
+				collector.edge(roles.source, roles.target, roles.label, properties);
+			});
+		});
+
+		return collector.result();
+	}
+};
@@ -0,0 +1,238 @@
+/**
+ * graph/formats/dot.js
+ *
+ * Graphviz DOT importer (e.g. jdeps or hand-written architecture sketches).
+ *   - Node attributes become properties; "label" becomes simpleName and a
+ *     "labels" attribute (":Container:Package") becomes the node labels.
+ *   - An edge's "label" attribute becomes its edge label (DEFAULT_EDGE_LABEL otherwise).
+ *   - node [...] / edge [...] defaults apply to the enclosing (sub)graph.
+ *   - subgraph cluster_x { label="pkg"; a; b } becomes a Container that
+ *     "contains" a and b; other subgraphs only scope defaults.
+ * Ports (a:p:n) are accepted and ignored.
+ */
+
+import { splitLabels, createElementCollector } from './common.js';
+
+// Splits DOT source into { type, value, line } tokens (type "id" for every kind of ID)
+function tokenize(text) {
+	const tokens = [];
+	let i = 0;
+	let line = 1;
+
+	const fail = (message) => {
+		throw new Error(`line ${line}: ${message}`);
+	};
+
+	while (i < text.length) {
+		const ch = text[i];
+		const atLineStart = i === 0 || text[i - 1] === "\n";
+
+		if (ch === "\n") {
+			line++;
+			i++;
+		} else if (/\s/.test(ch)) {
+			i++;
+		} else if (text.startsWith("//", i) || (ch === "#" && atLineStart)) {
+			while (i < text.length && text[i] !== "\n") i++;
+		} else if (text.startsWith("/*", i)) {
+			const end = text.indexOf("*/", i + 2);
+			if (end === -1) fail("unterminated comment");
+			line += (text.slice(i, end).match(/\n/g) ?? []).length;
+			i = end + 2;
+		} else if (text.startsWith("->", i) || text.startsWith("--", i)) {
+			tokens.push({ type: "edgeop", value: text.substr(i, 2), line });
+			i += 2;
+		} else if ("{}[]=;,:".includes(ch)) {
+			tokens.push({ type: ch, line });
+			i++;
+		} else if (ch === '"') {
+			let value = "";
+			let j = i + 1;
+			while (j < text.length && text[j] !== '"') {
+				if (text[j] === "\\" && text[j + 1] === '"') {
+					value += '"';
+					j += 2;
+				} else if (text[j] === "\\" && text[j + 1] === "\n") {
+					j += 2; // line continuation
+					line++;
+				} else {
+					if (text[j] === "\n") line++;
+					value += text[j++];
+				}
+			}
+			if (j >= text.length) fail("unterminated string");
+			// "a" + "b" concatenation
+			const previous = tokens[tokens.length - 1];
+			const beforePrevious = tokens[tokens.length - 2];
+			if (previous?.type === "+" && beforePrevious?.quoted) {
+				tokens.pop();
+				beforePrevious.value += value;
+			} else {
+				tokens.push({ type: "id", value, quoted: true, line });
+			}
+			i = j + 1;
+		} else if (ch === "+") {
+			tokens.push({ type: "+", line });
+			i++;
+		} else if (ch === "<") {
+			// HTML-like label: balanced angle brackets
+			let depth = 0;
+			let j = i;
+			do {
+				if (text[j] === "<") depth++;
+				else if (text[j] === ">") depth--;
+				else if (text[j] === "\n") line++;
+				j++;
+			} while (j < text.length && depth > 0);
+			if (depth > 0) fail("unterminated HTML string");
+			tokens.push({ type: "id", value: text.slice(i + 1, j - 1), line });
+			i = j;
+		} else {
+			const match = /^(-?(\.\d+|\d+(\.\d*)?)|[A-Za-z_\u0080-￿][\w\u0080-￿]*)/.exec(text.slice(i));
+			if (!match) fail(`unexpected character "${ch}"`);
+			tokens.push({ type: "id", value: match[0], line });
+			i += match[0].length;
+		}
+	}
+
+	tokens.push({ type: "end", line });
+	return tokens;
+}
+
+export const dotImporter = {
+	name: "DOT",
+	extensions: [".dot", ".gv"],
+	sniff: (text) => /^\s*(\/\/[^\n]*\n\s*|\/\*[\s\S]*?\*\/\s*)*(strict\s+)?(di)?graph\b/i.test(text.slice(0, 2048)),
+	parse(files) {
+		const tokens = tokenize(files[0].text);
+		const collector = createElementCollector();
+		let index = 0;
+
+		const peek = () => tokens[index];
+		const isKeyword = (token, keyword) => token.type === "id" && !token.quoted && token.value.toLowerCase() === keyword;
+		const accept = (type) => (peek().type === type ? tokens[index++] : null);
+		const expect = (type, what = `"${type}"`) => {
+			const token = accept(type);
+			if (!token) {
+				const found = peek().type === "end" ? "end of file" : `"${peek().value ?? peek().type}"`;
+				throw new Error(`line ${peek().line}: expected ${what} but found ${found}`);
+			}
+			return token;
+		};
+
+		// [a=b, c=d][e=f] -> { a: "b", c: "d", e: "f" }
+		const parseAttrLists = () => {
+			const attrs = {};
+			while (accept("[")) {
+				while (!accept("]")) {
+					const key = expect("id", "an attribute name").value;
+					attrs[key] = accept("=") ? expect("id", `a value for "${key}"`).value : "true";
+					accept(",") || accept(";");
+				}
+			}
+			return attrs;
+		};
+
+		const declareNode = (id, attrs) => {
+			const { labels, label, ...properties } = attrs;
+			if (label !== undefined) properties.simpleName = label;
+			collector.node(id, splitLabels(labels), properties);
+		};
+
+		const parseNodeId = () => {
+			const id = expect("id", "a node id").value;
+			// Ports are irrelevant for the graph structure
+			while (accept(":")) expect("id", "a port");
+			return id;
+		};
+
+		// Parses one statement list up to its closing "}".
+		// Returns the ids of the nodes it mentions and its own graph attributes.
+		const parseStatements = (defaults) => {
+			const scope = { node: { ...defaults.node }, edge: { ...defaults.edge }, graph: {} };
+			const mentioned = new Set();
+
+			// An edge operand is either a node id or a subgraph (standing for all its nodes)
+			const parseOperand = () => {
+				if (peek().type === "{" || isKeyword(peek(), "subgraph")) {
+					return parseSubgraph(scope).members;
+				}
+				return [parseNodeId()];
+			};
+
+			while (!accept("}")) {
+				const token = peek();
+				if (token.type === "end") {
+					throw new Error(`line ${token.line}: missing "}"`);
+				}
+				if (accept(";")) continue;
+
+				if (isKeyword(token, "node") || isKeyword(token, "edge") || isKeyword(token, "graph")) {
+					index++;
+					Object.assign(scope[token.value.toLowerCase()], parseAttrLists());
+					continue;
+				}
+				if (token.type === "id" && tokens[index + 1].type === "=") {
+					index += 2;
+					scope.graph[token.value] = expect("id", "a graph attribute value").value;
+					continue;
+				}
+
+				const isSubgraph = token.type === "{" || isKeyword(token, "subgraph");
+				const first = isSubgraph ? parseSubgraph(scope) : { members: [parseNodeId()], clusterId: null };
+
+				if (peek().type === "edgeop") {
+					const chain = [first.members];
+					while (accept("edgeop")) chain.push(parseOperand());
+					const { label, ...properties } = { ...scope.edge, ...parseAttrLists() };
+					if (properties.weight !== undefined) properties.weight = Number(properties.weight);
+					for (let i = 0; i + 1 < chain.length; i++) {
+						chain[i].forEach(source => chain[i + 1].forEach(target => {
+							collector.edge(source, target, label, properties);
+						}));
+					}
+					chain.flat().forEach(id => mentioned.add(id));
+				} else if (isSubgraph) {
+					// A nested cluster belongs to this graph as a whole
+					(first.clusterId ? [first.clusterId] : first.members).forEach(id => mentioned.add(id));
+				} else {
+					declareNode(first.members[0], { ...scope.node, ...parseAttrLists() });
+					mentioned.add(first.members[0]);
+				}
+			}
+
+			mentioned.forEach(id => collector.node(id, splitLabels(scope.node.labels)));
+			return { mentioned, attrs: scope.graph };
+		};
+
+		// subgraph [id] { ... } or an anonymous { ... }; returns { members, clusterId }
+		const parseSubgraph = (scope) => {
+			let id = null;
+			if (isKeyword(peek(), "subgraph")) {
+				index++;
+				id = accept("id")?.value ?? null;
+			}
+			expect("{");
+			const { mentioned, attrs } = parseStatements(scope);
+
+			if (id && id.startsWith("cluster")) {
+				collector.node(id, ["Container"], { simpleName: attrs.label ?? id.replace(/^cluster_?/, "") });
+				mentioned.forEach(member => collector.edge(id, member, "contains"));
+				return { members: [...mentioned], clusterId: id };
+			}
+			return { members: [...mentioned], clusterId: null };
+		};
+
+		if (isKeyword(peek(), "strict")) index++;
+		if (!isKeyword(peek(), "graph") && !isKeyword(peek(), "digraph")) {
+			throw new Error(`line ${peek().line}: expected "graph" or "digraph"`);
+		}
+		index++;
+		accept("id");
+		expect("{");
+		parseStatements({ node: {}, edge: {} });
+		expect("end", "end of file after the closing \"}\"");
+
+		return collector.result();
+	}
+};
@@ -0,0 +1,101 @@
+/**
+ * graph/formats/gexf.js
+ *
+ * GEXF importer (Gephi).
+ *   - <attributes class="node|edge"> declarations type the <attvalue> values.
+ *   - A node's "label" becomes its simpleName; node labels come from a
+ *     "labels" attribute if the export has one.
+ *   - An edge's "label" (or a "label"/"type" attvalue) becomes its edge label
+ *     (DEFAULT_EDGE_LABEL otherwise), and its "weight" attribute becomes properties.weight.
+ */
+
+import { parseXML, childrenNamed, convertValue, splitLabels, createElementCollector } from './common.js';
+
+// Reads <attributes class="..."> declarations into a Map of attribute id -> { title, type }
+function readAttributes(graph, cls) {
+	const attributes = new Map();
+	childrenNamed(graph, "attributes")
+		.filter(a => a.getAttribute("class") === cls)
+		.forEach(a => childrenNamed(a, "attribute").forEach(attribute => {
+			attributes.set(attribute.getAttribute("id"), {
+				title: attribute.getAttribute("title") ?? attribute.getAttribute("id"),
+				type: attribute.getAttribute("type") ?? "string"
+			});
+		}));
+	return attributes;
+}
+
+// Collects typed <attvalues> of a node or edge
+function readAttValues(element, attributes) {
+	const values = {};
+	childrenNamed(element, "attvalues").forEach(container => {
+		childrenNamed(container, "attvalue").forEach(attvalue => {
+			const id = attvalue.getAttribute("for") ?? attvalue.getAttribute("id");
+			const attribute = attributes.get(id);
+			if (!attribute) {
+				throw new Error(`<attvalue for="${id}"> refers to an undeclared attribute`);
+			}
+			values[attribute.title] = convertValue(attvalue.getAttribute("value"), attribute.type);
+		});
+	});
+	return values;
+}
+
+export const gexfImporter = {
+	name: "GEXF",
+	extensions: [".gexf"],
+	sniff: (text) => /<gexf[\s>]/.test(text.slice(0, 2048)),
+	parse(files) {
+		const doc = parseXML(files[0].text);
+		const root = doc.documentElement;
+		if (root.localName !== "gexf") {
+			throw new Error(`expected a <gexf> root element, found <${root.localName}>`);
+		}
+
+		const graph = childrenNamed(root, "graph")[0];
+		if (!graph) {
+			throw new Error("no <graph> element found");
+		}
+
+		const nodeAttributes = readAttributes(graph, "node");
+		const edgeAttributes = readAttributes(graph, "edge");
+		const collector = createElementCollector();
+
+		const walkNodes = (container, parentId) => {
+			childrenNamed(container, "nodes").forEach(nodes => childrenNamed(nodes, "node").forEach(node => {
+				const id = node.getAttribute("id");
+				if (!id) {
+					throw new Error("a <node> element has no id");
+				}
+				const { labels, ...properties } = readAttValues(node, nodeAttributes);
+				if (node.hasAttribute("label")) {
+					properties.simpleName = node.getAttribute("label");
+				}
+				collector.node(id, splitLabels(labels), properties);
+
+				// Hierarchical GEXF: nested <nodes> or a pid attribute mean containment
+				const parent = parentId ?? node.getAttribute("pid");
+				if (parent) {
+					collector.edge(parent, id, "contains");
+				}
+				walkNodes(node, id);
+			}));
+		};
+		walkNodes(graph, null);
+
+		childrenNamed(graph, "edges").forEach(edges => childrenNamed(edges, "edge").forEach((edge, i) => {
+			const source = edge.getAttribute("source");
+			const target = edge.getAttribute("target");
+			if (!source || !target) {
+				throw new Error(`<edge> #${i + 1} needs both source and target`);
+			}
+			const { label, type, ...properties } = readAttValues(edge, edgeAttributes);
+			if (edge.hasAttribute("weight")) {
+				properties.weight = Number(edge.getAttribute("weight"));
+			}
+			collector.edge(source, target, edge.getAttribute("label") ?? label ?? type, properties);
+		}));
+
+		return collector.result();
+	}
+};
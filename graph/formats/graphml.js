@@ -0,0 +1,99 @@
+/**
+ * graph/formats/graphml.js
+ *
+ * GraphML importer (yEd, Gephi, Neo4j/APOC and jQAssistant exports).
+ *   - <key attr.name attr.type> declarations type the <data> values.
+ *   - Node labels come from a "labels" key or attribute (":Container:Package").
+ *   - Edge labels come from a "label" or "type" key or attribute
+ *     (DEFAULT_EDGE_LABEL otherwise).
+ *   - Nodes nested through <node><graph>...</graph></node> get a "contains" edge
+ *     from their parent, matching the containment structure BubbleTea expects.
+ */
+
+import { parseXML, childrenNamed, convertValue, splitLabels, createElementCollector } from './common.js';
+
+// Reads <key> declarations into a Map of key id -> { name, type, domain, default }
+function readKeys(root) {
+	const keys = new Map();
+	childrenNamed(root, "key").forEach(key => {
+		const id = key.getAttribute("id");
+		if (!id) {
+			throw new Error("a <key> element has no id");
+		}
+		const defaultElement = childrenNamed(key, "default")[0];
+		keys.set(id, {
+			name: key.getAttribute("attr.name") ?? id,
+			type: key.getAttribute("attr.type") ?? "string",
+			domain: key.getAttribute("for") ?? "all",
+			default: defaultElement ? defaultElement.textContent : undefined
+		});
+	});
+	return keys;
+}
+
+// Collects typed <data> values (plus key defaults) of an element for a domain ("node"/"edge")
+function readData(element, keys, domain) {
+	const values = {};
+	keys.forEach((key) => {
+		if (key.default !== undefined && (key.domain === domain || key.domain === "all")) {
+			values[key.name] = convertValue(key.default, key.type);
+		}
+	});
+	childrenNamed(element, "data").forEach(data => {
+		const id = data.getAttribute("key");
+		const key = keys.get(id);
+		if (!key) {
+			throw new Error(`<data key="${id}"> refers to an undeclared <key>`);
+		}
+		values[key.name] = convertValue(data.textContent, key.type);
+	});
+	return values;
+}
+
+export const graphmlImporter = {
+	name: "GraphML",
+	extensions: [".graphml"],
+	sniff: (text) => /<graphml[\s>]/.test(text.slice(0, 2048)),
+	parse(files) {
+		const doc = parseXML(files[0].text);
+		const root = doc.documentElement;
+		if (root.localName !== "graphml") {
+			throw new Error(`expected a <graphml> root element, found <${root.localName}>`);
+		}
+
+		const keys = readKeys(root);
+		const collector = createElementCollector();
+		const topGraphs = childrenNamed(root, "graph");
+		if (topGraphs.length === 0) {
+			throw new Error("no <graph> element found");
+		}
+
+		const walkGraph = (graph, parentId) => {
+			childrenNamed(graph, "node").forEach(node => {
+				const id = node.getAttribute("id");
+				if (!id) {
+					throw new Error("a <node> element has no id");
+				}
+				const { labels, ...properties } = readData(node, keys, "node");
+				collector.node(id, splitLabels(node.getAttribute("labels") ?? labels), properties);
+				if (parentId !== null) {
+					collector.edge(parentId, id, "contains");
+				}
+				childrenNamed(node, "graph").forEach(nested => walkGraph(nested, id));
+			});
+
+			childrenNamed(graph, "edge").forEach((edge, i) => {
+				const source = edge.getAttribute("source");
+				const target = edge.getAttribute("target");
+				if (!source || !target) {
+					throw new Error(`<edge> #${i + 1} in graph "${graph.getAttribute("id") ?? ""}" needs both source and target`);
+				}
+				const { label, type, ...properties } = readData(edge, keys, "edge");
+				collector.edge(source, target, edge.getAttribute("label") ?? label ?? type, properties);
+			});
+		};
+
+		topGraphs.forEach(graph => walkGraph(graph, null));
+		return collector.result();
+	}
+};
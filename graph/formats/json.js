@@ -0,0 +1,29 @@
+/**
+ * graph/formats/json.js
+ *
+ * Importer for the Cytoscape-style JSON written by Arcana (and by graph.toJSON()):
+ *   { elements: { nodes: [{ data }], edges: [{ data }] } }
+ */
+
+export const jsonImporter = {
+	name: "JSON",
+	extensions: [".json"],
+	sniff: (text) => /^\s*[{[]/.test(text),
+	parse(files) {
+		let jsonData;
+		try {
+			jsonData = JSON.parse(files[0].text);
+		} catch (err) {
+			throw new Error(`could not parse JSON (${err.message})`);
+		}
+
+		if (!jsonData || !jsonData.elements || !Array.isArray(jsonData.elements.nodes)) {
+			throw new Error("the JSON does not contain the expected structure { elements: { nodes: [...], edges: [...] } }");
+		}
+		if (jsonData.elements.edges === undefined) {
+			jsonData.elements.edges = [];
+		}
+
+		return jsonData;
+	}
+};
@@ -1,34 +1,40 @@
+import { match } from './query.js';
+
 // Node Prototype
 const nodePrototype = {
 	id() {
 		return this.data.id;
 	},
-	labels() {
+	labels(newLabels = undefined) {
 		if (this.data.labels === undefined) {
 			this.data.labels = [];
 		}
-		return this.data.labels;
+		if (newLabels === undefined) {
+			return this.data.labels;
+		}
+		const oldLabels = [...this.data.labels];
+		this.data.labels = [...newLabels];
+		notify(this._meta._graph, 'labelChanged', { element: this, oldValue: oldLabels, newValue: [...newLabels] });
+		return this;
 	},
 	hasLabel(label) {
 		return this.data.labels.includes(label);
 	},
 	addLabel(label) {
 		if (!this.hasLabel(label)) {
-			this.data.labels.push(label);
+			this.labels([...this.data.labels, label]);
 		}
 		return this;
 	},
 	removeLabel(label) {
-		const index = this.data.labels.indexOf(label);
-		if (index !== -1) {
-			this.data.labels.splice(index, 1);
+		if (this.hasLabel(label)) {
+			this.labels(this.data.labels.filter(l => l !== label));
 		}
 		return this;
 	},
 	replaceLabel(oldLabel, newLabel) {
-		const index = this.data.labels.indexOf(oldLabel);
-		if (index !== -1) {
-			this.data.labels[index] = newLabel;
+		if (this.hasLabel(oldLabel)) {
+			this.labels(this.data.labels.map(l => l === oldLabel ? newLabel : l));
 		}
 		return this;
 	},
@@ -41,27 +47,56 @@ const nodePrototype = {
 		}
 		if (value === undefined) {
 			return this.data.properties[key];
-		} else if (value === null) {
-			delete this.data.properties[key];
-			return this;
 		} else {
-			this.data.properties[key] = value;
+			setProperty(this, key, value);
 			return this;
 		}
 	},
+	deriveProperty(key, value) {
+		// Like property(key, value), but remembers the value from the input so that
+		// toJSON() can leave render-time additions out of the export
+		const originals = (this._meta._originalProperties ??= {});
+		if (!(key in originals)) {
+			originals[key] = this.data.properties?.[key];
+		}
+		setProperty(this, key, value, true);
+		return this;
+	},
+	exportedProperties(includeDerived = false) {
+		const properties = { ...this.data.properties };
+		if (!includeDerived) {
+			Object.entries(this._meta._originalProperties ?? {}).forEach(([key, original]) => {
+				if (original === undefined) {
+					delete properties[key];
+				} else {
+					properties[key] = original;
+				}
+			});
+		}
+		return toPlain(properties);
+	},
+	incoming(edgeLabel) {
+		if (edgeLabel === undefined) {
+			return Object.values(this._meta._incoming).flat();
+		}
+		return this._meta._incoming[edgeLabel] ?? [];
+	},
+	outgoing(edgeLabel) {
+		if (edgeLabel === undefined) {
+			return Object.values(this._meta._outgoing).flat();
+		}
+		return this._meta._outgoing[edgeLabel] ?? [];
+	},
 	sources(edgeLabel) {
-		if (!this._meta._sources || !(edgeLabel in this._meta._sources)) {
-			const source_nodes = this._meta._graph.edges(edgeLabel, (e) => e.target().id() === this.id())
-				.map((e) => e.source());
-			this._meta._sources[edgeLabel] = source_nodes;
+		if (!(edgeLabel in this._meta._sources)) {
+			// O(degree): only this node's incoming edges of that label are visited
+			this._meta._sources[edgeLabel] = this.incoming(edgeLabel).map((e) => e.source());
 		}
 		return this._meta._sources[edgeLabel];
 	},
 	targets(edgeLabel) {
-		if (!this._meta._targets || !(edgeLabel in this._meta._targets)) {
-			const target_nodes = this._meta._graph.edges(edgeLabel, (e) => e.source().id() === this.id())
-				.map((e) => e.target());
-			this._meta._targets[edgeLabel] = target_nodes;
+		if (!(edgeLabel in this._meta._targets)) {
+			this._meta._targets[edgeLabel] = this.outgoing(edgeLabel).map((e) => e.target());
 		}
 		return this._meta._targets[edgeLabel];
 	}
@@ -72,10 +107,19 @@ const edgePrototype = {
 	label(newLabel = undefined) {
 		if (newLabel === undefined) {
 			return this.data.label;
-		} else {
+		}
+		const oldLabel = this.data.label;
+		if (newLabel !== oldLabel) {
+			// The edges map and the adjacency index are keyed by label
+			const graph = this._meta?._graph;
+			const registered = graph ? unregisterEdge(graph, this) : false;
 			this.data.label = newLabel;
-			return this;
+			if (registered) {
+				registerEdge(graph, this);
+			}
+			notify(graph, 'labelChanged', { element: this, oldValue: oldLabel, newValue: newLabel });
 		}
+		return this;
 	},
 	property(key, value = undefined) {
 		if (this.data.properties === undefined) {
@@ -83,14 +127,17 @@ const edgePrototype = {
 		}
 		if (value === undefined) {
 			return this.data.properties[key];
-		} else if (value === null) {
-			delete this.data.properties[key];
-			return this;
 		} else {
-			this.data.properties[key] = value;
+			setProperty(this, key, value);
 			return this;
 		}
 	},
+	isDerived() {
+		return this._meta._derived === true;
+	},
+	exportedProperties() {
+		return toPlain({ ...this.data.properties });
+	},
 	source() {
 		if (this._meta._source === undefined && this.data.source) {
 			// direct map lookup
@@ -108,29 +155,73 @@ const edgePrototype = {
 
 // Graph Prototype
 const graphPrototype = {
-	addNode(nodeData) {
-		if (!nodeData.id) {
-			throw new Error('Node must have an "id" property');
+	on(typename, listener) {
+		// "type.name" registers one listener per name, like d3.dispatch;
+		// null removes it and no listener returns the current one
+		const dot = typename.indexOf('.');
+		const type = dot === -1 ? typename : typename.slice(0, dot);
+		const name = dot === -1 ? '' : typename.slice(dot + 1);
+		if (!graphEvents.includes(type)) {
+			throw new Error(`Unknown graph event type: "${type}"`);
 		}
 
-		// Check if the node ID already exists in this graph
-		if (this._meta._nodes[nodeData.id]) {
-			console.warn(`Node with id "${nodeData.id}" already exists. Overwriting...`);
+		const listeners = (this._meta._listeners[type] ??= new Map());
+		if (listener === undefined) {
+			return listeners.get(name);
+		}
+		if (listener === null) {
+			listeners.delete(name);
+		} else {
+			listeners.set(name, listener);
+		}
+		return this;
+	},
+	batch(fn) {
+		// Mutations made by fn reach 'change' listeners as a single event.
+		// Nested batches join the outermost one.
+		if (this._meta._batch) {
+			return fn.call(this, this);
+		}
+		this._meta._batch = [];
+		try {
+			return fn.call(this, this);
+		} finally {
+			const events = this._meta._batch;
+			this._meta._batch = null;
+			if (events.length > 0) {
+				dispatch(this, 'change', { type: 'change', events });
+			}
+		}
+	},
+	addNode(nodeData) {
+		if (!nodeData.data?.id) {
+			throw new Error('Node must have a "data.id" property');
 		}
 
-		// Initialize the node's _meta structure, if not present
-		nodeData._meta = nodeData._meta || {};
-
-		// Attach the node prototype, referencing this graph
-		attachNode(nodeData, this);
+		return this.batch(() => {
+			// Check if the node ID already exists in this graph
+			const existing = this._meta._nodes[nodeData.data.id];
+			if (existing && existing !== nodeData) {
+				console.warn(`Node with id "${nodeData.data.id}" already exists. Overwriting...`);
+				this.removeNode(existing);
+			} else if (existing) {
+				return nodeData;
+			}
 
-		// Add to the array of nodes in the graph
-		this.elements.nodes.push(nodeData);
+			// Attach the node prototype, referencing this graph (which also stores it
+			// in the node map). A node added back keeps its record of derived properties.
+			const originals = nodeData._meta?._originalProperties;
+			attachNode(nodeData, this);
+			if (originals) {
+				nodeData._meta._originalProperties = originals;
+			}
 
-		// Store in the node map by ID for fast lookup
-		this._meta._nodes[nodeData.id] = nodeData;
+			// Add to the array of nodes in the graph
+			this.elements.nodes.push(nodeData);
 
-		return nodeData;
+			notify(this, 'nodeAdded', { node: nodeData });
+			return nodeData;
+		});
 	},
 	addEdge(sourceNode, targetNode, edgeLabel) {
 		// sourceNode/targetNode might be objects or IDs. If IDs, look up the node:
@@ -148,29 +239,94 @@ const graphPrototype = {
 			_meta: {}
 		};
 
-		// Attach the edge prototype and add to the graph
+		return this.insertEdge(edge);
+	},
+	insertEdge(edge) {
+		// Adds an existing edge object, e.g. one produced by compose/lift or one
+		// removed earlier. It keeps its derived flag.
+		const derived = edge._meta?._derived === true;
+
+		// Attach the edge prototype (which also registers it in the edges map
+		// and in the adjacency index of both endpoints)
 		attachEdge(edge, this);
+		if (derived) {
+			edge._meta._derived = true;
+		}
 		this.elements.edges.push(edge);
 
-		// Update the edges map
-		if (!this._meta._edges[edgeLabel]) {
-			this._meta._edges[edgeLabel] = [];
+		notify(this, 'edgeAdded', { edge });
+		return edge;
+	},
+	addDerivedEdges(edgeList) {
+		// Edges computed from the input (e.g. lifted 'calls'), as produced by compose/lift.
+		// They behave like any other edge but can be left out of toJSON().
+		this.batch(() => {
+			edgeList.forEach(edge => {
+				edge._meta = { _derived: true };
+				this.insertEdge(edge);
+			});
+		});
+		return edgeList;
+	},
+	removeEdge(edge) {
+		if (!unregisterEdge(this, edge)) {
+			return null;
 		}
-		this._meta._edges[edgeLabel].push(edge);
 
-		// ---- Invalidate cached sources/targets for the two nodes ----
-		// So next time node.sources(...) or node.targets(...) is called, it recalculates.
-		if (sNode && sNode._meta) {
-			sNode._meta._sources = {};
-			sNode._meta._targets = {};
-		}
-		if (tNode && tNode._meta) {
-			tNode._meta._sources = {};
-			tNode._meta._targets = {};
+		// Remove from the raw element list
+		const elementIndex = this.elements.edges.indexOf(edge);
+		if (elementIndex !== -1) {
+			this.elements.edges.splice(elementIndex, 1);
 		}
 
+		notify(this, 'edgeRemoved', { edge });
 		return edge;
 	},
+	removeEdgesWhere(label, predicate) {
+		// Same (label, predicate) semantics as edges(); copy first since we mutate the lists
+		const doomed = [...this.edges(label, predicate)];
+		removeEdgeSet(this, new Set(doomed));
+		return doomed;
+	},
+	removeNode(node) {
+		const n = typeof node === 'string' ? this.node(node) : node;
+		if (!n || this._meta._nodes[n.id()] !== n) {
+			return null;
+		}
+
+		return this.batch(() => {
+			// Cascade: drop every edge that would otherwise dangle (a self-loop shows up twice)
+			const incident = new Set([
+				...Object.values(n._meta._incoming).flat(),
+				...Object.values(n._meta._outgoing).flat()
+			]);
+			removeEdgeSet(this, incident);
+
+			delete this._meta._nodes[n.id()];
+			const index = this.elements.nodes.indexOf(n);
+			if (index !== -1) {
+				this.elements.nodes.splice(index, 1);
+			}
+
+			notify(this, 'nodeRemoved', { node: n });
+			return n;
+		});
+	},
+	clear() {
+		const nodes = [...this.elements.nodes];
+		const edges = [...this.elements.edges];
+
+		this.elements.nodes.forEach(resetAdjacency);
+		this.elements.nodes.length = 0;
+		this.elements.edges.length = 0;
+		this._meta._nodes = {};
+		this._meta._edges = {};
+
+		if (nodes.length > 0 || edges.length > 0) {
+			notify(this, 'cleared', { nodes, edges });
+		}
+		return this;
+	},
 	node(nodeId) {
 		return this._meta._nodes[nodeId];
 	},
@@ -191,30 +347,211 @@ const graphPrototype = {
 			return Object.values(this._meta._edges).flat().filter(predicate); // Use the edges map for fast access
 		}
 		return Object.values(this._meta._edges).flat();
+	},
+	toJSON(options) {
+		// JSON.stringify(graph) calls toJSON with a key string, so only accept an options object
+		const { includeDerived = false } = (options && typeof options === 'object') ? options : {};
+
+		// Keep any extra top-level keys from the input, minus our own bookkeeping
+		const { _meta, elements, ...rest } = this;
+		return {
+			...toPlain(rest),
+			elements: {
+				nodes: this.elements.nodes.map((node) => ({
+					data: { ...toPlain(node.data), properties: node.exportedProperties(includeDerived) }
+				})),
+				edges: this.elements.edges
+					.filter((edge) => includeDerived || !edge.isDerived())
+					.map((edge) => ({ data: toPlain(edge.data) }))
+			}
+		};
+	},
+	query(pattern) {
+		// Pattern matching, e.g. graph.query('(p:Container)-[:contains]->(c:Structure)')
+		return match(this, pattern);
+	}
+};
+
+// Utility to deep-copy a value for serialization: strips _meta back-references
+// and replaces node references (e.g. the 'package' property) by node IDs
+const toPlain = (value) => {
+	if (Array.isArray(value)) {
+		return value.map(toPlain);
+	}
+	if (value && typeof value === 'object') {
+		if (nodePrototype.isPrototypeOf(value)) {
+			return value.id();
+		}
+		if (edgePrototype.isPrototypeOf(value)) {
+			return toPlain(value.data);
+		}
+		return Object.fromEntries(
+			Object.entries(value)
+				.filter(([key]) => key !== '_meta')
+				.map(([key, v]) => [key, toPlain(v)])
+		);
+	}
+	return value;
+};
+
+// Utility to (re)initialize a node's adjacency index and neighbour caches
+const resetAdjacency = (node) => {
+	node._meta._incoming = {}; // Map of edge labels to incoming edges
+	node._meta._outgoing = {}; // Map of edge labels to outgoing edges
+	node._meta._sources = {};
+	node._meta._targets = {};
+};
+
+// Utility to register an edge with the adjacency index of its endpoints.
+// Only the cached neighbours for that one label are dropped.
+const indexEdge = (edge) => {
+	const label = edge.label();
+	const source = edge.source();
+	const target = edge.target();
+	if (source) {
+		(source._meta._outgoing[label] ??= []).push(edge);
+		delete source._meta._targets[label];
+	}
+	if (target) {
+		(target._meta._incoming[label] ??= []).push(edge);
+		delete target._meta._sources[label];
+	}
+};
+
+// Utility to remove an edge from the adjacency index of its endpoints
+const unindexEdge = (edge) => {
+	const label = edge.label();
+	const source = edge.source();
+	const target = edge.target();
+	if (source) {
+		const outgoing = source._meta._outgoing[label] ?? [];
+		const index = outgoing.indexOf(edge);
+		if (index !== -1) outgoing.splice(index, 1);
+		delete source._meta._targets[label];
+	}
+	if (target) {
+		const incoming = target._meta._incoming[label] ?? [];
+		const index = incoming.indexOf(edge);
+		if (index !== -1) incoming.splice(index, 1);
+		delete target._meta._sources[label];
+	}
+};
+
+// Utility to remove many edges of a graph at once: each list is filtered once
+// instead of splicing edge by edge
+const removeEdgeSet = (graph, doomed) => {
+	if (doomed.size === 0) {
+		return;
+	}
+
+	for (const edgeLabel of new Set([...doomed].map(e => e.label()))) {
+		const remaining = graph._meta._edges[edgeLabel].filter(e => !doomed.has(e));
+		if (remaining.length === 0) {
+			delete graph._meta._edges[edgeLabel];
+		} else {
+			graph._meta._edges[edgeLabel] = remaining;
+		}
+	}
+	// Compact elements.edges in place, since callers may hold on to that array
+	let kept = 0;
+	for (const edge of graph.elements.edges) {
+		if (!doomed.has(edge)) {
+			graph.elements.edges[kept++] = edge;
+		}
+	}
+	graph.elements.edges.length = kept;
+
+	doomed.forEach(unindexEdge);
+	graph.batch(() => doomed.forEach(edge => notify(graph, 'edgeRemoved', { edge })));
+};
+
+// Mutation events a graph can be subscribed to with graph.on(...). 'change' comes
+// once per top-level mutation (or batch) with the list of events it caused.
+const graphEvents = ['nodeAdded', 'nodeRemoved', 'edgeAdded', 'edgeRemoved', 'propertyChanged', 'labelChanged', 'cleared', 'change'];
+
+// Utility to call the listeners of one event type
+const dispatch = (graph, type, event) => {
+	const listeners = graph._meta._listeners?.[type];
+	if (listeners) {
+		[...listeners.values()].forEach(listener => listener.call(graph, event));
 	}
 };
 
+// Utility to report a mutation. Events about render-time properties and derived
+// edges are flagged 'derived', since they are recomputed rather than edited.
+const notify = (graph, type, event) => {
+	if (!graph?._meta._listeners) {
+		return; // Detached element
+	}
+	const edge = event.edge ?? (edgePrototype.isPrototypeOf(event.element) ? event.element : null);
+	const full = { type, ...event, derived: Boolean(event.derived || edge?.isDerived()) };
+
+	dispatch(graph, type, full);
+	if (graph._meta._batch) {
+		graph._meta._batch.push(full);
+	} else {
+		dispatch(graph, 'change', { type: 'change', events: [full] });
+	}
+};
+
+// Utility shared by the node and edge property setters; null deletes the property
+const setProperty = (element, key, value, derived = false) => {
+	const properties = (element.data.properties ??= {});
+	const oldValue = properties[key];
+	if (value === null) {
+		delete properties[key];
+	} else {
+		properties[key] = value;
+	}
+
+	const newValue = value ?? undefined;
+	if (oldValue !== newValue) {
+		notify(element._meta?._graph, 'propertyChanged', { element, key, oldValue, newValue, derived });
+	}
+};
+
+// Utility to register an edge in the edges map and in the adjacency index of its endpoints
+const registerEdge = (graph, edge) => {
+	(graph._meta._edges[edge.label()] ??= []).push(edge);
+	indexEdge(edge);
+};
+
+// Utility to undo registerEdge. Returns false if the edge was not in the graph.
+const unregisterEdge = (graph, edge) => {
+	const label = edge.label();
+	const labelled = graph._meta._edges[label];
+	const index = labelled ? labelled.indexOf(edge) : -1;
+	if (index === -1) {
+		return false;
+	}
+
+	labelled.splice(index, 1);
+	if (labelled.length === 0) {
+		delete graph._meta._edges[label];
+	}
+
+	// Both endpoints have a stale view of their neighbours now
+	unindexEdge(edge);
+	return true;
+};
+
 // Utility to attach node prototype
 export const attachNode = (node, graph) => {
 	node._meta = {};
 	Object.setPrototypeOf(node, nodePrototype);
 	graph._meta._nodes[node.id()] = node;
 	node._meta._graph = graph;
-	node._meta._sources = {};
-	node._meta._targets = {};
+	resetAdjacency(node);
 };
 
 // Utility to attach edge prototype
 export const attachEdge = (edge, graph) => {
 	edge._meta = {};
 	Object.setPrototypeOf(edge, edgePrototype);
-	if (!(edge.label() in graph._meta._edges)) {
-		graph._meta._edges[edge.label()] = [];
-	}
-	graph._meta._edges[edge.label()].push(edge); // Store in the map
 	edge._meta._graph = graph;
 	edge._meta._source = undefined;
 	edge._meta._target = undefined;
+	registerEdge(graph, edge);
 };
 
 // Utility to create and attach the graph prototype
@@ -224,7 +561,9 @@ export const createGraph = (graphData = { elements: { nodes: [], edges: [] } })
 	// Initialize meta structure for nodes and edges
 	graphData._meta = {
 		_nodes: {}, // Map of node IDs to node objects
-		_edges: {}  // Map of edge labels to arrays of edges
+		_edges: {}, // Map of edge labels to arrays of edges
+		_listeners: {}, // Map of event types to listeners (see on())
+		_batch: null // Events collected by an ongoing batch()
 	};
 
 	// Populate the nodes map
@@ -335,3 +674,185 @@ export const compose = function (l1, l2, newlabel) {
 export const lift = function (rel1, rel2, newlabel) {
 	return compose(compose(rel1, rel2), invert(rel1), newlabel);
 };
+
+/**
+ * Relation algebra over edge lists
+ *   - Relations are arrays of edges ({ data: { source, target, label, properties } }),
+ *     as returned by graph.edges(...) or by compose/lift.
+ *   - Results are new plain edges, one per (source, target) pair, with
+ *     properties.weight aggregated like composeEdges does: weights multiply
+ *     along a chain and add up over parallel edges of the same pair.
+ *   - Examples:
+ *       // package A transitively depends on package B
+ *       transitiveClosure(graph.edges("dependsOn"), { newlabel: "dependsOn+" })
+ *       // methods reachable from controller methods
+ *       restrictDomain(transitiveClosure(graph.edges("invokes")),
+ *           m => m.sources("hasScript").some(c => c.property("roleStereotype") === "Controller"), graph)
+ */
+
+// Key of a (source, target) pair; \u0000 cannot occur in ids, unlike "-"
+const pairKey = (source, target) => `${source}\u0000${target}`;
+
+const weightOf = (edge) => edge.data.properties?.weight ?? 1;
+
+/**
+ * aggregateEdges:
+ *   - Collapses an edge list into one edge per (source, target) pair,
+ *     summing weights, and optionally relabelling.
+ */
+function aggregateEdges(edgeList, newlabel) {
+	const aggregated = new Map();
+
+	for (const edge of edgeList) {
+		const { source, target, label } = edge.data;
+		const key = pairKey(source, target);
+		if (!aggregated.has(key)) {
+			aggregated.set(key, {
+				data: {
+					source,
+					target,
+					label: newlabel || label,
+					properties: { weight: weightOf(edge) },
+				}
+			});
+		} else {
+			aggregated.get(key).data.properties.weight += weightOf(edge);
+		}
+	}
+
+	return aggregated;
+}
+
+/**
+ * union:
+ *   - All pairs in either relation; weights of pairs in both are added.
+ *
+ * @param {Array} l1 - First relation.
+ * @param {Array} l2 - Second relation.
+ * @param {String} newlabel - Optional label for the result (default: the label of the first edge of each pair).
+ * @returns {Array}
+ */
+export const union = function (l1, l2, newlabel) {
+	return Array.from(aggregateEdges([...l1, ...l2], newlabel).values());
+};
+
+/**
+ * intersection:
+ *   - Pairs present in both relations; weights are multiplied,
+ *     as for a chain through both relations.
+ *
+ * @param {Array} l1 - First relation.
+ * @param {Array} l2 - Second relation.
+ * @param {String} newlabel - Optional label for the result.
+ * @returns {Array}
+ */
+export const intersection = function (l1, l2, newlabel) {
+	const second = aggregateEdges(l2);
+	return Array.from(aggregateEdges(l1, newlabel).entries())
+		.filter(([key]) => second.has(key))
+		.map(([key, edge]) => {
+			edge.data.properties.weight *= second.get(key).data.properties.weight;
+			return edge;
+		});
+};
+
+/**
+ * difference:
+ *   - Pairs of the first relation that are not in the second; weights are kept.
+ *
+ * @param {Array} l1 - First relation.
+ * @param {Array} l2 - Relation whose pairs are removed.
+ * @param {String} newlabel - Optional label for the result.
+ * @returns {Array}
+ */
+export const difference = function (l1, l2, newlabel) {
+	const removed = new Set(l2.map(({ data: { source, target } }) => pairKey(source, target)));
+	return Array.from(aggregateEdges(l1, newlabel).entries())
+		.filter(([key]) => !removed.has(key))
+		.map(([, edge]) => edge);
+};
+
+/**
+ * transitiveClosure:
+ *   - All pairs connected by a chain of 1..maxDepth edges of the relation.
+ *   - A pair's weight is the sum, over all those chains, of the product of
+ *     their weights (i.e. rel + rel∘rel + ... up to maxDepth).
+ *   - Without maxDepth, chains are extended until none is left. On an acyclic
+ *     relation that counts every chain; on a cyclic one, chains of more edges
+ *     than there are distinct nodes are not counted.
+ *
+ * @param {Array} rel - The relation.
+ * @param {{ maxDepth?: Number, newlabel?: String }} options
+ * @returns {Array}
+ */
+export const transitiveClosure = function (rel, { maxDepth = Infinity, newlabel } = {}) {
+	if (!Array.isArray(rel) || rel.length === 0 || maxDepth < 1) {
+		return [];
+	}
+
+	const mapping = buildMapping(rel);
+	let result = aggregateEdges(rel, newlabel);
+	let power = Array.from(result.values());
+
+	// An acyclic chain has fewer edges than there are nodes, so only cycles reach this bound
+	const nodeCount = new Set(rel.flatMap(e => [e.data.source, e.data.target])).size;
+	const depthLimit = Math.min(maxDepth, nodeCount);
+
+	for (let depth = 2; depth <= depthLimit && power.length > 0; depth++) {
+		power = composeEdges(power, mapping, newlabel || rel[0].data.label);
+		result = aggregateEdges([...result.values(), ...power], newlabel);
+	}
+
+	return Array.from(result.values());
+};
+
+/**
+ * restrictDomain / restrictRange:
+ *   - Keeps the edges whose source (domain) or target (range) satisfies a predicate.
+ *   - With a graph, the predicate receives the node; otherwise it receives the node ID.
+ *
+ * @param {Array} rel - The relation.
+ * @param {Function} predicate - (node) => Boolean, or (id) => Boolean without a graph.
+ * @param {Object} graph - Optional graph to look nodes up in.
+ * @returns {Array}
+ */
+export const restrictDomain = function (rel, predicate, graph) {
+	const test = graph ? (id) => { const node = graph.node(id); return !!node && predicate(node); } : predicate;
+	return rel.filter(({ data: { source } }) => test(source));
+};
+
+export const restrictRange = function (rel, predicate, graph) {
+	const test = graph ? (id) => { const node = graph.node(id); return !!node && predicate(node); } : predicate;
+	return rel.filter(({ data: { target } }) => test(target));
+};
+
+/**
+ * liftBy:
+ *   - Lifts a relation to coarser nodes: each endpoint ID is replaced by
+ *     groupOf(id) (e.g. the package of a method), edges whose endpoint has no
+ *     group are dropped, and weights of edges that end up on the same pair are added.
+ *   - Self-loops (calls within one group) are kept; filter them if unwanted.
+ *
+ * @param {Array} rel - The relation, e.g. graph.edges("invokes").
+ * @param {Function} groupOf - (id) => group ID, or null/undefined.
+ * @param {String} newlabel - Optional label for the lifted edges.
+ * @returns {Array}
+ */
+export const liftBy = function (rel, groupOf, newlabel) {
+	const groups = new Map();
+	const cachedGroupOf = (id) => {
+		if (!groups.has(id)) groups.set(id, groupOf(id) ?? null);
+		return groups.get(id);
+	};
+
+	const mapped = [];
+	for (const edge of rel) {
+		const source = cachedGroupOf(edge.data.source);
+		const target = cachedGroupOf(edge.data.target);
+		if (source !== null && target !== null) {
+			mapped.push({ data: { source, target, label: edge.data.label, properties: { weight: weightOf(edge) } } });
+		}
+	}
+
+	return Array.from(aggregateEdges(mapped, newlabel).values());
+};
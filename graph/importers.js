@@ -0,0 +1,91 @@
+/**
+ * graph/importers.js
+ *
+ * Registry of file importers. Each importer turns one or more files into the
+ * { elements: { nodes, edges } } structure that createGraph expects:
+ *
+ *   {
+ *     name: "GraphML",                 // used in error messages
+ *     extensions: [".graphml"],        // matched case-insensitively
+ *     sniff: (text) => boolean,        // content check when the extension is unknown
+ *     multipleFiles: true,             // optional: parse() combines several files
+ *     parse: (files) => graphData      // files: [{ name, text }]; throws Error on bad input
+ *   }
+ *
+ * Importers are tried in registration order; registerImporter adds new ones.
+ */
+
+import { jsonImporter } from './formats/json.js';
+import { graphmlImporter } from './formats/graphml.js';
+import { gexfImporter } from './formats/gexf.js';
+import { dotImporter } from './formats/dot.js';
+import { csvImporter } from './formats/csv.js';
+
+const importers = [jsonImporter, graphmlImporter, gexfImporter, dotImporter, csvImporter];
+
+/**
+ * registerImporter:
+ *   - Adds an importer; it takes precedence over the built-in ones.
+ */
+export function registerImporter(importer) {
+	importers.unshift(importer);
+}
+
+/**
+ * supportedExtensions:
+ *   - All registered extensions, e.g. for an <input accept="..."> attribute.
+ */
+export function supportedExtensions() {
+	return [...new Set(importers.flatMap(i => i.extensions))];
+}
+
+/**
+ * findImporter:
+ *   - Chooses an importer by file extension, falling back to content sniffing.
+ *
+ * @returns {Object|null}
+ */
+export function findImporter(fileName, text) {
+	const lowerName = fileName.toLowerCase();
+	return importers.find(i => i.extensions.some(ext => lowerName.endsWith(ext)))
+		?? importers.find(i => i.sniff(text))
+		?? null;
+}
+
+/**
+ * importGraphData:
+ *   - Converts files into graph data with the matching importer.
+ *   - Several files are only accepted when they share an importer (e.g. nodes.csv + edges.csv).
+ *   - Errors are rethrown with the format and file names in front.
+ *
+ * @param {Array<{ name: String, text: String }>} files
+ * @returns {Object} - { elements: { nodes, edges } }
+ */
+export function importGraphData(files) {
+	if (files.length === 0) {
+		throw new Error("No file to import.");
+	}
+
+	const chosen = files.map(file => findImporter(file.name, file.text));
+	const unknown = files.filter((_, i) => !chosen[i]);
+	if (unknown.length > 0) {
+		throw new Error(
+			`Unrecognized file format: ${unknown.map(f => f.name).join(", ")}. ` +
+			`Supported: ${supportedExtensions().join(", ")}.`
+		);
+	}
+
+	const importer = chosen[0];
+	if (chosen.some(i => i !== importer)) {
+		throw new Error(`Cannot combine ${[...new Set(chosen.map(i => i.name))].join(" and ")} files in one import.`);
+	}
+	if (files.length > 1 && !importer.multipleFiles) {
+		throw new Error(`${importer.name} imports take a single file, but ${files.length} were selected.`);
+	}
+
+	try {
+		return importer.parse(files);
+	} catch (err) {
+		throw new Error(`${importer.name} import of ${files.map(f => f.name).join(", ")} failed: ${err.message}`);
+	}
+}
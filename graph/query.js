@@ -0,0 +1,225 @@
+/**
+ * graph/query.js
+ *
+ * A small pattern-matching query engine over the graph in graph/graph.js.
+ * Patterns use a Cypher-like path syntax, e.g.
+ *
+ *   (:Container)-[:contains]->(c:Structure {roleStereotype: "Controller"})-[:hasScript]->(m)
+ *
+ * Supported:
+ *   - node patterns: (var:Label:OtherLabel {key: value, ...}), every part optional
+ *   - edge patterns: -[var:label|otherLabel]->, <-[...]-, or undirected -[...]-
+ *   - literals: "double" or 'single' quoted strings, numbers, true, false, null
+ *   - `backticked` identifiers for labels or keys containing spaces
+ * A variable used more than once must bind to the same element each time.
+ */
+
+/**
+ * tokenize:
+ *   - Splits a pattern string into { type, value, pos } tokens.
+ */
+function tokenize(text) {
+	const tokens = [];
+	let i = 0;
+
+	while (i < text.length) {
+		const ch = text[i];
+
+		if (/\s/.test(ch)) {
+			i++;
+		} else if (text.startsWith("<-", i) || text.startsWith("->", i)) {
+			tokens.push({ type: text.substr(i, 2), pos: i });
+			i += 2;
+		} else if (/[0-9.]/.test(ch) || (ch === "-" && /[0-9]/.test(text[i + 1] ?? ""))) {
+			const match = /^-?(\d+\.?\d*|\.\d+)([eE][+-]?\d+)?/.exec(text.slice(i));
+			// A lone "." is not a number
+			if (!match) {
+				throw new Error(`Query syntax error at ${i}: unexpected character "${ch}"`);
+			}
+			tokens.push({ type: "number", value: Number(match[0]), pos: i });
+			i += match[0].length;
+		} else if ("()[]{}:,|-".includes(ch)) {
+			tokens.push({ type: ch, pos: i });
+			i++;
+		} else if (ch === '"' || ch === "'" || ch === "`") {
+			// Quoted string or backticked identifier, with backslash escapes
+			let value = "";
+			let j = i + 1;
+			while (j < text.length && text[j] !== ch) {
+				value += text[j] === "\\" ? text[++j] : text[j];
+				j++;
+			}
+			if (j >= text.length) {
+				throw new Error(`Query syntax error at ${i}: unterminated ${ch === "`" ? "identifier" : "string"}`);
+			}
+			tokens.push({ type: ch === "`" ? "ident" : "string", value, pos: i });
+			i = j + 1;
+		} else if (/[A-Za-z_$]/.test(ch)) {
+			const match = /^[A-Za-z_$][\w$]*/.exec(text.slice(i));
+			tokens.push({ type: "ident", value: match[0], pos: i });
+			i += match[0].length;
+		} else {
+			throw new Error(`Query syntax error at ${i}: unexpected character "${ch}"`);
+		}
+	}
+
+	tokens.push({ type: "end", pos: text.length });
+	return tokens;
+}
+
+/**
+ * parseQuery:
+ *   - Parses a pattern string into { nodes, edges }, where edges[i] connects
+ *     nodes[i] and nodes[i + 1].
+ *
+ * @param {String} text - The pattern, e.g. "(a:Container)-[:contains]->(b)".
+ * @returns {{ nodes: Array<{ variable, labels, properties }>, edges: Array<{ variable, labels, direction }> }}
+ */
+export function parseQuery(text) {
+	const tokens = tokenize(text);
+	let index = 0;
+
+	const peek = () => tokens[index];
+	const accept = (type) => (peek().type === type ? tokens[index++] : null);
+	const expect = (type) => {
+		const token = accept(type);
+		if (!token) {
+			const found = peek().type === "end" ? "end of query" : `"${peek().value ?? peek().type}"`;
+			throw new Error(`Query syntax error at ${peek().pos}: expected "${type}" but found ${found}`);
+		}
+		return token;
+	};
+
+	const parseLiteral = () => {
+		const token = peek();
+		if (token.type === "string" || token.type === "number") {
+			index++;
+			return token.value;
+		}
+		if (token.type === "ident" && ["true", "false", "null"].includes(token.value)) {
+			index++;
+			return JSON.parse(token.value);
+		}
+		throw new Error(`Query syntax error at ${token.pos}: expected a string, number, true, false or null`);
+	};
+
+	const parseProperties = () => {
+		const properties = {};
+		if (!accept("{")) return properties;
+		if (!accept("}")) {
+			do {
+				const key = expect("ident").value;
+				expect(":");
+				properties[key] = parseLiteral();
+			} while (accept(","));
+			expect("}");
+		}
+		return properties;
+	};
+
+	const parseNode = () => {
+		expect("(");
+		const variable = accept("ident")?.value ?? null;
+		const labels = [];
+		while (accept(":")) {
+			labels.push(expect("ident").value);
+		}
+		const properties = parseProperties();
+		expect(")");
+		return { variable, labels, properties };
+	};
+
+	const parseEdge = () => {
+		const incoming = accept("<-");
+		if (!incoming) expect("-");
+		expect("[");
+		const variable = accept("ident")?.value ?? null;
+		const labels = [];
+		if (accept(":")) {
+			do {
+				labels.push(expect("ident").value);
+			} while (accept("|"));
+		}
+		expect("]");
+		const outgoing = accept("->");
+		if (!outgoing) expect("-");
+		if (incoming && outgoing) {
+			throw new Error(`Query syntax error at ${incoming.pos}: an edge cannot point both ways`);
+		}
+		const direction = outgoing ? "out" : incoming ? "in" : "both";
+		return { variable, labels, direction };
+	};
+
+	const nodes = [parseNode()];
+	const edges = [];
+	while (peek().type === "-" || peek().type === "<-") {
+		edges.push(parseEdge());
+		nodes.push(parseNode());
+	}
+	expect("end");
+
+	return { nodes, edges };
+}
+
+// Checks labels and property constraints of a node pattern against a node
+const nodeMatches = (pattern) => (node) =>
+	pattern.labels.every(label => node.hasLabel(label)) &&
+	Object.entries(pattern.properties).every(([key, value]) => node.property(key) === value);
+
+// Lists [edge, neighbour] pairs reachable from node through an edge pattern
+const stepsFrom = (node, edgePattern) => {
+	const labels = edgePattern.labels.length ? edgePattern.labels : [undefined];
+	const steps = [];
+	labels.forEach(label => {
+		if (edgePattern.direction !== "in") {
+			node.outgoing(label).forEach(e => steps.push([e, e.target()]));
+		}
+		if (edgePattern.direction !== "out") {
+			node.incoming(label).forEach(e => steps.push([e, e.source()]));
+		}
+	});
+	return steps.filter(([, neighbour]) => neighbour);
+};
+
+// Binds variable to element, or returns null if it is already bound to something else
+const bind = (bindings, variable, element) => {
+	if (!variable) return bindings;
+	if (variable in bindings) {
+		return bindings[variable] === element ? bindings : null;
+	}
+	return { ...bindings, [variable]: element };
+};
+
+/**
+ * match:
+ *   - Finds every way a pattern can be embedded in the graph.
+ *
+ * @param {Object} graph - A graph created by createGraph.
+ * @param {String|Object} pattern - A pattern string, or the output of parseQuery.
+ * @returns {Array<Object>} - One object per match, mapping variable names to nodes/edges.
+ */
+export function match(graph, pattern) {
+	const { nodes, edges } = typeof pattern === "string" ? parseQuery(pattern) : pattern;
+
+	// Start from every node satisfying the first node pattern, then extend hop by hop
+	let partials = graph.nodes(nodeMatches(nodes[0]))
+		.map(node => ({ node, bindings: bind({}, nodes[0].variable, node) }))
+		.filter(({ bindings }) => bindings);
+
+	edges.forEach((edgePattern, i) => {
+		const nextPattern = nodes[i + 1];
+		const isNext = nodeMatches(nextPattern);
+		partials = partials.flatMap(({ node, bindings }) =>
+			stepsFrom(node, edgePattern)
+				.filter(([, neighbour]) => isNext(neighbour))
+				.map(([edge, neighbour]) => {
+					const withEdge = bind(bindings, edgePattern.variable, edge);
+					const withNode = withEdge && bind(withEdge, nextPattern.variable, neighbour);
+					return withNode && { node: neighbour, bindings: withNode };
+				})
+				.filter(partial => partial)
+		);
+	});
+
+	return partials.map(({ bindings }) => bindings);
+}
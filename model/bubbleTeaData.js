@@ -5,17 +5,20 @@
  * "bubble tea data": average counts, dominant layers, etc.
  */
 
-import { classesOf } from './nodes.js';
+import { classesShownWithContext } from './hierarchy.js';
 import {
 	getBubbleDataWithContext,
 	dominatingLayersWithContext
 } from './composition.js';
+import { classWeightWithContext } from './weighting.js';
 
 /**
  * getBubbleTeaDataWithContext(context)
  *   - Returns a function that, given a package node, calculates:
- *       1) bubble data for each class inside
- *       2) normalized (package-level) average counts of each layer
+ *       1) bubble data for each class inside (including those of its
+ *          subpackages when the package is collapsed, see model/hierarchy.js)
+ *       2) normalized (package-level) average counts of each layer, each class
+ *          weighted per context.weighting (equally by default)
  *       3) overall dominant layer(s) for the package
  *
  * @param {Object} context - Typically includes .layers and references to other config
@@ -27,13 +30,15 @@ export function getBubbleTeaDataWithContext(context) {
 	return (pkg) => {
 		const getBubbleData = getBubbleDataWithContext(context);
 		const dominatingLayers = dominatingLayersWithContext(context);
+		const classWeight = classWeightWithContext(context);
+		const classesShown = classesShownWithContext(context);
 
 		// Step 1: find all class nodes within the package
-		const claszList = classesOf(pkg);
+		const claszList = classesShown(pkg);
 
 		// Step 2: mark each class with a "package" property referencing this pkg
 		claszList.forEach((cls) => {
-			cls.property("package", pkg);
+			cls.deriveProperty("package", pkg);
 		});
 
 		// Step 3: For each class, compute its bubble data
@@ -60,12 +65,17 @@ export function getBubbleTeaDataWithContext(context) {
 			)
 		);
 
-		// Step 6: Compute average (normalized) usage for each layer across all classes
+		// Step 6: Compute the weighted average (normalized) usage for each layer across all classes.
+		//    If every class weighs 0, they all count the same instead.
+		const weights = claszList.map(classWeight);
+		const classWeights = weights.every(w => w === 0) ? weights.map(() => 1) : weights;
+		const totalWeight = classWeights.reduce((acc, w) => acc + w, 0);
 		const averageCounts = uniqueLayers.map(layer => {
-			const layerData = pkgBubbleData.flat(2).filter(e => e.layer === layer);
-			const totalCount = layerData.reduce((acc, e) => acc + e.count, 0);
-			const count = pkgBubbleData.length; // number of classes
-			const averageCount = count > 0 ? totalCount / count : 0;
+			const totalCount = pkgBubbleData.reduce((acc, classData, i) =>
+				acc + classWeights[i] * classData
+					.filter(e => e.layer === layer)
+					.reduce((sum, e) => sum + e.count, 0), 0);
+			const averageCount = totalWeight > 0 ? totalCount / totalWeight : 0;
 			return { layer, count: averageCount };
 		});
 
@@ -4,6 +4,7 @@
  * Domain-level helpers for computing “bubble” data and layer compositions.
  * These functions rely on:
  *   - methodsOf, layerOf (from model/nodes.js)
+ *   - the dominance strategies (from model/dominance.js)
  *   - arraysEqual, sum, average, max, etc. (from utils/utils.js)
  * 
  * Then the functions are used in your rendering layer (e.g., bubbleRender.js)
@@ -11,26 +12,37 @@
  */
 
 import { methodsOf, layerOf } from './nodes.js';
-import { stringToHue, arraysEqual, sum } from '../utils/utils.js';
+import { stringToHue, arraysEqual, sum, average } from '../utils/utils.js';
+import { resolveDominance } from './dominance.js';
+import { layerModelOf } from './layers.js';
+import { methodWeightWithContext } from './weighting.js';
 
 /**
  * getBubbleDataWithContext(context):
  *   - Returns a function that, given a class node, computes an array of
  *     { layer, count, valid, hue } objects, summarizing layer usage for
  *     that class's methods.
+ *   - 'count' is the total weight of the methods in that layer, per
+ *     context.weighting (by default every method weighs 1). If all methods
+ *     weigh 0, they are counted instead so the class still gets a composition.
  *
- * @param {Object} context - Contains domain info like context.layers
+ * @param {Object} context - Contains domain info like context.layers and context.weighting
  * @returns {(clasz: Object) => { class: Object, bubbleData: Array }}
  */
 export function getBubbleDataWithContext(context) {
+	const methodWeight = methodWeightWithContext(context);
+
 	return (clasz) => {
 		const methodList = methodsOf(clasz);
 
 		if (methodList.length > 0) {
+			const weights = methodList.map(methodWeight);
+			const unweighted = weights.every(w => w === 0);
+
 			// Reduce to accumulate layer counts (Presentation, Service, etc.)
-			const layerCounts = methodList.reduce((counts, method) => {
+			const layerCounts = methodList.reduce((counts, method, i) => {
 				const layerType = layerOf(method);
-				counts[layerType] = (counts[layerType] || 0) + 1;
+				counts[layerType] = (counts[layerType] || 0) + (unweighted ? 1 : weights[i]);
 				return counts;
 			}, {});
 
@@ -58,50 +70,30 @@ export function getBubbleDataWithContext(context) {
 
 /**
  * dominatingLayersWithContext(context):
- *   - Returns a function that, given bubbleData, computes the one or two
- *     top-occurring layers. Logic includes tie-breaking and threshold checks.
+ *   - Returns a function that, given bubbleData, computes the dominant
+ *     layer(s) with the strategy chosen in context.dominance (see model/dominance.js).
+ *     By default that is one layer that clearly leads, or two adjacent ones,
+ *     adjacency following the allowed dependencies of context.layerModel.
  *
- * @param {Object} context - The context with context.layers
+ * @param {Object} context - The context with context.layers, context.layerModel and context.dominance
  * @returns {(bubbleData: Array) => Array<String>}
  */
 export function dominatingLayersWithContext(context) {
-	return (bubbleData) => {
-		const layers = context.layers;
-		if (bubbleData.length < 1) return [];
-
-		let max1 = -Infinity, max2 = -Infinity;
-		let layer1 = null, layer2 = null;
-
-		for (const { count, layer } of bubbleData) {
-			if (count > max1) {
-				max2 = max1;
-				layer2 = layer1;
-				max1 = count;
-				layer1 = layer;
-			} else if (count > max2) {
-				max2 = count;
-				layer2 = layer;
-			}
-		}
-
-		// If there's only one or it strongly dominates, return just [layer1].
-		if (max2 === -Infinity) {
-			return [layer1];
-		}
-		if (max1 > 1.5 * max2) {
-			return [layer1];
-		}
-
-		// If exactly 2 bubbleData or if some data is quite small,
-		// consider returning [layer1, layer2].
-		if (bubbleData.length === 2 || bubbleData.some(({ count }) => count * 1.5 < max1)) {
-			if (Math.abs(layers.indexOf(layer1) - layers.indexOf(layer2)) < 2) {
-				return [layer1, layer2];
-			}
-		}
+	const { strategy, params } = resolveDominance(context.dominance);
+	const model = context.layerModel ?? layerModelOf(context.graph);
+	return (bubbleData) => strategy.dominating(bubbleData, { layers: context.layers, model, params });
+}
 
-		return [];
-	};
+/**
+ * dominantLayerName(dominant):
+ *   - Display name for the output of dominatingLayers: the layer names joined
+ *     with ", ", or "Cross-cutting" when no layer dominates.
+ *
+ * @param {Array<String>} dominant
+ * @returns {String}
+ */
+export function dominantLayerName(dominant) {
+	return dominant.length == 0 ? "Cross-cutting" : dominant.join(", ");
 }
 
 /**
@@ -109,21 +101,22 @@ export function dominatingLayersWithContext(context) {
  *   - Returns a higher-order comparator function that can compare two
  *     sets of bubbleData based on their dominating layers and proportions.
  *
- * @param {Object} context - The context with context.layers
+ * @param {Object} context - The context with context.layers and context.layerModel
  * @returns {(aBubbleData: Array) => (bBubbleData: Array) => number}
  */
 export function layerCompositionComparatorWithContext(context) {
 	const { layers } = context;
+	const { rankOf } = context.layerModel ?? layerModelOf(context.graph);
 	const dominatingLayers = dominatingLayersWithContext(context);
 
-	// Helper to compute a numerical "layer dominance score"
+	// Helper to compute a numerical "layer dominance score": the average rank of the
+	// dominant layers, then (for layers side by side) their average position in context.layers
 	const calculateDominanceScore = (dominantLayers) => {
-		if (dominantLayers.length === 0) return 100;  // fallback
-		if (dominantLayers.length === 1) {
-			return layers.indexOf(dominantLayers[0]);
-		}
-		// If two layers, average their indices
-		return (layers.indexOf(dominantLayers[0]) + layers.indexOf(dominantLayers[1])) / 2;
+		if (dominantLayers.length === 0) return [100, 100];  // fallback
+		return [
+			average(dominantLayers.map(layer => rankOf.get(layer) ?? -1)),
+			average(dominantLayers.map(layer => layers.indexOf(layer)))
+		];
 	};
 
 	// Helper to calculate proportion of dominant layers in the bubbleData
@@ -147,8 +140,8 @@ export function layerCompositionComparatorWithContext(context) {
 		}
 
 		// Otherwise compare by dominance score
-		const ia = calculateDominanceScore(da);
-		const ib = calculateDominanceScore(db);
-		return ia - ib; // ascending order by score
+		const [ra, ia] = calculateDominanceScore(da);
+		const [rb, ib] = calculateDominanceScore(db);
+		return (ra - rb) || (ia - ib); // ascending order by score
 	};
 }
@@ -0,0 +1,103 @@
+/**
+ * model/diff.js
+ *
+ * Domain-level diff between two snapshots of a system: the structural diff
+ * from graph/diff.js plus the layer reassignments of methods, classes and
+ * packages, computed the same way the serving table computes them.
+ *
+ * Headless use:
+ *   const diff = diffSnapshots(snapshotContext(createGraph(oldJson)), snapshotContext(createGraph(newJson)));
+ *
+ * snapshotContext derives the 'calls' and 'dependsOn' edges of its graph (see
+ * deriveEdges), so both snapshots are weighted from the same edges.
+ *   console.log(JSON.stringify(diff, null, 2));
+ */
+
+import { diffGraphs, matchNodes } from '../graph/diff.js';
+import { layerOf } from './nodes.js';
+import { deriveEdges, nodeKindOf } from './lifting.js';
+import { layerModelOf } from './layers.js';
+import { getBubbleDataWithContext, dominatingLayersWithContext, dominantLayerName } from './composition.js';
+import { getBubbleTeaDataWithContext } from './bubbleTeaData.js';
+
+/**
+ * snapshotContext(graph, settings):
+ *   - The minimal context the layer computations need ({ graph, layers, layerModel }),
+ *     for use outside the UI where buildContext is not available. Derives the edges
+ *     of 'graph' first, as buildContext does.
+ *   - 'settings' can carry the dominance and weighting of another context, so
+ *     that both snapshots of a diff are laid out by the same rules.
+ */
+export function snapshotContext(graph, { dominance, weighting } = {}) {
+	deriveEdges(graph);
+	const layerModel = layerModelOf(graph);
+	return { graph, layers: [null, ...layerModel.layers], layerModel, dominance, weighting };
+}
+
+/**
+ * layerAssignmentsWithContext(context):
+ *   - Returns a function that, given a node, names the layer it is assigned to:
+ *     layerOf for methods, the dominant layer(s) of the bubble for classes and
+ *     of the bubble tea for packages. Other nodes get undefined.
+ *
+ * @param {Object} context - Needs .layers (and whatever dominance settings the context carries)
+ * @returns {(node: Object) => { kind: String, layer: String }|undefined}
+ */
+export function layerAssignmentsWithContext(context) {
+	const getBubbleData = getBubbleDataWithContext(context);
+	const getBubbleTeaData = getBubbleTeaDataWithContext(context);
+	const dominatingLayers = dominatingLayersWithContext(context);
+
+	return (node) => {
+		switch (nodeKindOf(node)) {
+			case "package": return { kind: "packages", layer: dominantLayerName(getBubbleTeaData(node).dominant) };
+			case "class": return { kind: "classes", layer: dominantLayerName(dominatingLayers(getBubbleData(node).bubbleData)) };
+			case "method": return { kind: "methods", layer: layerOf(node) };
+			default: return undefined;
+		}
+	};
+}
+
+/**
+ * diffSnapshots:
+ *   - Diffs two snapshots, each given as a context ({ graph, layers, ... }).
+ *
+ * @param {Object} beforeContext - Context of the older snapshot.
+ * @param {Object} afterContext - Context of the newer snapshot.
+ * @param {{ matchBy?: String, includeDerived?: Boolean }} options - See diffGraphs.
+ * @returns {Object} - diffGraphs' result plus
+ *          layers: { methods, classes, packages }, each an array of
+ *          { id, beforeId, qualifiedName, before, after } for matched nodes whose layer changed.
+ */
+export function diffSnapshots(beforeContext, afterContext, options = {}) {
+	const structural = diffGraphs(beforeContext.graph, afterContext.graph, options);
+	const { pairs } = matchNodes(beforeContext.graph, afterContext.graph, structural.matchBy);
+
+	const beforeLayer = layerAssignmentsWithContext(beforeContext);
+	const afterLayer = layerAssignmentsWithContext(afterContext);
+
+	const layers = { methods: [], classes: [], packages: [] };
+	pairs.forEach((afterNode, beforeNode) => {
+		const b = beforeLayer(beforeNode);
+		const a = afterLayer(afterNode);
+		if (!a) return;
+		if (!b || b.layer !== a.layer) {
+			layers[a.kind].push({
+				id: afterNode.id(),
+				beforeId: beforeNode.id(),
+				qualifiedName: afterNode.property("qualifiedName"),
+				before: b?.layer ?? null,
+				after: a.layer
+			});
+		}
+	});
+
+	return {
+		...structural,
+		layers,
+		summary: {
+			...structural.summary,
+			layers: Object.fromEntries(Object.entries(layers).map(([kind, list]) => [kind, list.length]))
+		}
+	};
+}
@@ -0,0 +1,168 @@
+/**
+ * model/dominance.js
+ *
+ * Strategies that decide which layer(s) dominate a layer composition, i.e. which
+ * lane of the serving table a package (or class) lands in.
+ *
+ * A strategy is { label, description, params, dominating }, where
+ *   - params maps each tunable threshold to { label, value (the default), min, max, step }
+ *   - dominating(bubbleData, { layers, model, params }) returns the dominant layer names,
+ *     most prominent first, or [] for "Cross-cutting". 'model' is the layer model
+ *     (see model/layers.js); its distance() tells how far apart two layers are in the DAG.
+ *   - A result without a lane of its own in the serving table (see lanesOf: single layers,
+ *     and pairs joined by an allowed dependency) is drawn there as cross-cutting.
+ *
+ * The context picks one with context.dominance = { strategy: <id>, params: {...} };
+ * params left out fall back to the strategy's defaults.
+ */
+
+// Whether the layers form one group when linking those at most maxDistance apart in the
+// layer DAG. Layers the model does not know (e.g. "Undefined") are never close to anything.
+const closeTogether = (model, maxDistance) => (layers) => {
+	const linked = new Set(layers.slice(0, 1));
+	const queue = [...linked];
+	while (queue.length > 0) {
+		const layer = queue.shift();
+		layers.forEach(other => {
+			if (!linked.has(other) && model.distance(layer, other) <= maxDistance) {
+				linked.add(other);
+				queue.push(other);
+			}
+		});
+	}
+	return linked.size === layers.length;
+};
+
+// bubbleData entries sorted by count, largest first, with their share of the total
+const ranked = (bubbleData) => {
+	const total = bubbleData.reduce((acc, { count }) => acc + count, 0);
+	return [...bubbleData]
+		.sort((a, b) => b.count - a.count)
+		.map(({ layer, count }) => ({ layer, count, share: total > 0 ? count / total : 0 }));
+};
+
+export const dominanceStrategies = {
+	runnerUp: {
+		label: "Runner-up ratio",
+		description: "One layer if it beats the runner-up by the given ratio; two layers if they " +
+			"are close together in the layer DAG and others lag behind; otherwise cross-cutting.",
+		params: {
+			ratio: { label: "Ratio to runner-up", value: 1.5, min: 1, max: 5, step: 0.1 },
+			maxDistance: { label: "Max. lane distance", value: 1, min: 0, max: 10, step: 1 }
+		},
+		dominating: (bubbleData, { model, params: { ratio, maxDistance } }) => {
+			if (bubbleData.length < 1) return [];
+
+			let max1 = -Infinity, max2 = -Infinity;
+			let layer1 = null, layer2 = null;
+
+			for (const { count, layer } of bubbleData) {
+				if (count > max1) {
+					max2 = max1;
+					layer2 = layer1;
+					max1 = count;
+					layer1 = layer;
+				} else if (count > max2) {
+					max2 = count;
+					layer2 = layer;
+				}
+			}
+
+			// If there's only one or it strongly dominates, return just [layer1].
+			if (max2 === -Infinity) {
+				return [layer1];
+			}
+			if (max1 > ratio * max2) {
+				return [layer1];
+			}
+
+			// If exactly 2 bubbleData or if some data is quite small,
+			// consider returning [layer1, layer2].
+			if (bubbleData.length === 2 || bubbleData.some(({ count }) => count * ratio < max1)) {
+				if (model.distance(layer1, layer2) <= maxDistance) {
+					return [layer1, layer2];
+				}
+			}
+
+			return [];
+		}
+	},
+	majority: {
+		label: "Majority",
+		description: "The largest layer if its share is above the threshold; otherwise cross-cutting.",
+		params: {
+			share: { label: "Min. share", value: 0.5, min: 0, max: 1, step: 0.05 }
+		},
+		dominating: (bubbleData, { params: { share } }) => {
+			const [top] = ranked(bubbleData);
+			return top && top.share > share ? [top.layer] : [];
+		}
+	},
+	purity: {
+		label: "Purity (entropy)",
+		description: "The largest layer if the composition is pure enough, i.e. its normalized " +
+			"entropy (0 = a single layer, 1 = evenly spread) is at most the threshold; otherwise cross-cutting.",
+		params: {
+			maxEntropy: { label: "Max. entropy", value: 0.6, min: 0, max: 1, step: 0.05 }
+		},
+		dominating: (bubbleData, { params: { maxEntropy } }) => {
+			const present = ranked(bubbleData).filter(({ share }) => share > 0);
+			if (present.length === 0) return [];
+			if (present.length === 1) return [present[0].layer];
+
+			const entropy = -present.reduce((acc, { share }) => acc + share * Math.log(share), 0);
+			return entropy / Math.log(present.length) <= maxEntropy ? [present[0].layer] : [];
+		}
+	},
+	topK: {
+		label: "Top-k coverage",
+		description: "The fewest largest layers (at most k) that together reach the coverage, " +
+			"provided each is within the lane distance of another in the layer DAG; otherwise cross-cutting.",
+		params: {
+			k: { label: "Max. layers (k)", value: 2, min: 1, max: 5, step: 1 },
+			coverage: { label: "Min. coverage", value: 0.75, min: 0, max: 1, step: 0.05 },
+			maxDistance: { label: "Max. lane distance", value: 1, min: 0, max: 10, step: 1 }
+		},
+		dominating: (bubbleData, { model, params: { k, coverage, maxDistance } }) => {
+			const candidates = ranked(bubbleData);
+			let covered = 0;
+			for (let i = 0; i < Math.min(k, candidates.length); i++) {
+				covered += candidates[i].share;
+				if (covered < coverage) continue;
+
+				const chosen = candidates.slice(0, i + 1).map(({ layer }) => layer);
+				return closeTogether(model, maxDistance)(chosen) ? chosen : [];
+			}
+			return [];
+		}
+	}
+};
+
+export const DEFAULT_DOMINANCE_STRATEGY = "runnerUp";
+
+/**
+ * registerDominanceStrategy(id, strategy):
+ *   - Adds (or replaces) a strategy, which then shows up in the settings panel.
+ */
+export function registerDominanceStrategy(id, strategy) {
+	if (typeof strategy.dominating !== "function") {
+		throw new Error(`Dominance strategy "${id}" has no dominating() function`);
+	}
+	dominanceStrategies[id] = { label: id, description: "", params: {}, ...strategy };
+}
+
+/**
+ * resolveDominance(dominance):
+ *   - Turns context.dominance (possibly undefined or partial) into the strategy to use
+ *     and a complete set of params.
+ *
+ * @returns {{ id: String, strategy: Object, params: Object }}
+ */
+export function resolveDominance(dominance = {}) {
+	const id = dominance.strategy in dominanceStrategies ? dominance.strategy : DEFAULT_DOMINANCE_STRATEGY;
+	const strategy = dominanceStrategies[id];
+	const params = Object.fromEntries(
+		Object.entries(strategy.params).map(([key, { value }]) => [key, dominance.params?.[key] ?? value])
+	);
+	return { id, strategy, params };
+}
@@ -0,0 +1,95 @@
+/**
+ * model/dsm.js
+ *
+ * A dependency structure matrix (DSM) over packages or classes, in a given
+ * order (e.g. that of the serving table's lanes, top layer first). The cell
+ * in row i, column j holds how much item j depends on item i: read down a
+ * column for what an item uses, along a row for what uses it. Dependencies
+ * that follow the layer order then fall below the diagonal. A cell points
+ * against the layer order when its target's lane lies above its source's;
+ * the order within a lane, and the cross-cutting lane, say nothing about it.
+ */
+
+import { ancestorsOf, liftToLevel } from './lifting.js';
+
+// What the cells count: method calls lifted to the items, or package dependencies
+export const DSM_RELATIONS = {
+	calls: { label: "Calls", lifted: "invokes" },
+	dependsOn: { label: "dependsOn", lifted: "dependsOn" }
+};
+
+/**
+ * Returns a function mapping a node to the item of 'items' standing for it:
+ * the node itself or its nearest ancestor among them (e.g. the class of a
+ * method, or the collapsed package around a class), or null.
+ *
+ * @param {Array<Object>} items - Package or class nodes.
+ * @returns {(node: Object) => Object|null}
+ */
+export function itemOfWithin(items) {
+	const byId = new Map(items.map(item => [item.id(), item]));
+	return (node) => [node, ...ancestorsOf(node)].map(n => byId.get(n.id())).find(Boolean) ?? null;
+}
+
+// A dependency goes up when both ends lie in lanes and the target's lane is higher
+const isAgainst = (sourcePosition, targetPosition) =>
+	sourcePosition !== null && sourcePosition !== undefined &&
+	targetPosition !== null && targetPosition !== undefined &&
+	targetPosition < sourcePosition;
+
+/**
+ * Builds the DSM of 'items' for a relation (see DSM_RELATIONS).
+ *
+ * @param {Object} graph - A graph created by createGraph.
+ * @param {Array<Object>} items - Package or class nodes, in matrix order.
+ * @param {{ relation?: String, positionOf?: Function }} options
+ *        positionOf: (item) => the position (rank) of its lane, top first, or null
+ *        for cross-cutting items; without it, no cell is against the layer order.
+ * @returns {{ items: Array, cells: Array<{ row, col, source, target, weight, against }>, max: Number }}
+ *          'source' (column) depends on 'target' (row); 'against' marks dependencies on a higher lane.
+ */
+export function dsmOf(graph, items, { relation = "calls", positionOf = () => null } = {}) {
+	const { lifted } = DSM_RELATIONS[relation] ?? {};
+	if (!lifted) throw new Error(`Unknown DSM relation "${relation}"`);
+
+	const index = new Map(items.map((item, i) => [item.id(), i]));
+	const edges = liftToLevel(graph, itemOfWithin(items), { label: lifted, newlabel: relation });
+
+	const cells = edges.map(edge => {
+		const col = index.get(edge.data.source);
+		const row = index.get(edge.data.target);
+		return {
+			row,
+			col,
+			source: items[col],
+			target: items[row],
+			weight: edge.data.properties.weight,
+			against: isAgainst(positionOf(items[col]), positionOf(items[row]))
+		};
+	});
+
+	return { items, cells, max: cells.reduce((acc, cell) => Math.max(acc, cell.weight), 0) };
+}
+
+/**
+ * Returns the method calls ('invokes') behind a cell: those from a method of
+ * 'source' (or below it) to a method of 'target'.
+ *
+ * @param {Object} graph
+ * @param {Array<Object>} items - The items of the matrix.
+ * @param {Object} source - The item of the cell's column.
+ * @param {Object} target - The item of the cell's row.
+ * @returns {Array<{ caller: Object, callee: Object, weight: Number }>} - 'weight' counts the calls (1 unless weighted).
+ */
+export function callsBetween(graph, items, source, target) {
+	const itemOf = itemOfWithin(items);
+	return graph.edges("invokes")
+		.map(edge => ({
+			caller: graph.node(edge.data.source),
+			callee: graph.node(edge.data.target),
+			weight: edge.data.properties?.weight ?? 1
+		}))
+		.filter(({ caller, callee }) => caller && callee
+			&& itemOf(caller) === source
+			&& itemOf(callee) === target);
+}
@@ -0,0 +1,152 @@
+/**
+ * model/filters.js
+ *
+ * Include/exclude rules that thin out the serving table. context.filters is
+ * { rules, mode }: rules as below, and whether filtered packages and classes
+ * are "dim"med in place or "remove"d (the lanes are then laid out without them).
+ *
+ * A rule is { field, mode: "include"|"exclude", ...criterion }, where the
+ * criterion depends on the field (see FILTER_FIELDS):
+ *   - choice:  { value }, e.g. a layer name or "Cross-cutting"
+ *   - pattern: { pattern }, a glob (* and ?) or a /regular expression/
+ *   - range:   { min, max }, either may be null
+ *
+ * A package or class is filtered out if it matches an exclude rule, or if,
+ * for some field with include rules, neither it nor its package (for a class)
+ * or one of its classes (for a package) matches one of them. Packages left
+ * without classes are filtered out as well.
+ */
+
+import { dominatingLayersWithContext, dominantLayerName } from './composition.js';
+import { layerOf, methodsOf } from './nodes.js';
+
+export const FILTER_MODES = { dim: "Dim", remove: "Remove" };
+
+export const FILTER_FIELDS = {
+	dominantLayer: { label: "Dominant layer", kind: "choice", levels: ["package", "class"] },
+	methodLayer: { label: "Method layer", kind: "choice", levels: ["class"] },
+	roleStereotype: { label: "Role stereotype", kind: "choice", levels: ["class"] },
+	qualifiedName: { label: "Qualified name", kind: "pattern", levels: ["package", "class"] },
+	classCount: { label: "Class count", kind: "range", levels: ["package"] },
+	methodCount: { label: "Method count", kind: "range", levels: ["class"] }
+};
+
+export const DEFAULT_FILTERS = { rules: [], mode: "dim" };
+
+/**
+ * Turns a glob (* for any text, ? for one character) or a /regular expression/
+ * into a function testing a string. Globs match the whole string.
+ *
+ * @param {String} pattern
+ * @returns {(text: String) => Boolean}
+ * @throws {SyntaxError} - If a regular expression is invalid.
+ */
+export function patternMatcher(pattern) {
+	const regex = /^\/(.*)\/([a-z]*)$/.exec(pattern);
+	if (regex) {
+		const re = new RegExp(regex[1], regex[2]);
+		return (text) => re.test(text);
+	}
+
+	const glob = pattern.replace(/[.+^${}()|[\]\\]/g, "\\$&").replace(/\*/g, ".*").replace(/\?/g, ".");
+	const re = new RegExp(`^${glob}$`);
+	return (text) => re.test(text);
+}
+
+/**
+ * Short text for a rule, e.g. 'exclude qualified name ~ *.test.*'.
+ *
+ * @param {Object} rule
+ * @returns {String}
+ */
+export function describeRule(rule) {
+	const field = FILTER_FIELDS[rule.field];
+	const criterion = {
+		choice: () => `= ${rule.value}`,
+		pattern: () => `~ ${rule.pattern}`,
+		range: () => rule.max === null || rule.max === undefined
+			? `≥ ${rule.min ?? 0}`
+			: `${rule.min ?? 0}–${rule.max}`
+	}[field.kind]();
+	return `${rule.mode} ${field.label.toLowerCase()} ${criterion}`;
+}
+
+// Does a rule's criterion hold for a subject ({ level, node, dominant, methodLayers, count })?
+const matcherOf = (rule) => {
+	switch (rule.field) {
+		case "dominantLayer":
+			return (subject) => dominantLayerName(subject.dominant) === rule.value || subject.dominant.includes(rule.value);
+		case "methodLayer":
+			return (subject) => subject.methodLayers.has(rule.value);
+		case "roleStereotype":
+			return (subject) => subject.node.property("roleStereotype") === rule.value;
+		case "qualifiedName": {
+			const test = patternMatcher(rule.pattern);
+			return (subject) => test(subject.node.property("qualifiedName") ?? subject.node.id());
+		}
+		case "classCount":
+		case "methodCount":
+			return (subject) => subject.count >= (rule.min ?? -Infinity) && subject.count <= (rule.max ?? Infinity);
+		default:
+			throw new Error(`Unknown filter field "${rule.field}"`);
+	}
+};
+
+/**
+ * applyFiltersWithContext(context):
+ *   - Returns a function that applies context.filters to bubble-tea data (see
+ *     getBubbleTeaDataWithContext). In "remove" mode, filtered packages and classes
+ *     are left out; in "dim" mode they are kept with 'dimmed: true'.
+ *   - Without rules, the data is returned as is.
+ */
+export function applyFiltersWithContext(context) {
+	const { rules = [], mode = "dim" } = context.filters ?? {};
+	const dominatingLayers = dominatingLayersWithContext(context);
+
+	const matchers = rules.map(rule => ({ rule, levels: FILTER_FIELDS[rule.field].levels, test: matcherOf(rule) }));
+	const matches = (subject) => ({ levels, test }) => levels.includes(subject.level) && test(subject);
+	const excludes = matchers.filter(({ rule }) => rule.mode === "exclude");
+	const includeGroups = Object.values(
+		matchers
+			.filter(({ rule }) => rule.mode === "include")
+			.reduce((groups, matcher) => ({ ...groups, [matcher.rule.field]: [...(groups[matcher.rule.field] ?? []), matcher] }), {})
+	);
+
+	// Kept unless excluded, and for each included field, it or a related subject matches
+	const kept = (subject, related) =>
+		!excludes.some(matches(subject)) &&
+		includeGroups.every(group => [subject, ...related].some(s => group.some(matches(s))));
+
+	return (bubbleTeaDataArray) => {
+		if (rules.length === 0) return bubbleTeaDataArray;
+
+		return bubbleTeaDataArray.flatMap(bubbleTeaData => {
+			const pkgSubject = {
+				level: "package",
+				node: bubbleTeaData.package,
+				dominant: bubbleTeaData.dominant,
+				count: bubbleTeaData.bubbleData.length
+			};
+			const classSubjects = bubbleTeaData.bubbleData.map(({ class: clasz, bubbleData }) => ({
+				level: "class",
+				node: clasz,
+				dominant: dominatingLayers(bubbleData),
+				methodLayers: new Set(methodsOf(clasz).map(layerOf)),
+				count: methodsOf(clasz).length
+			}));
+
+			const keptClasses = classSubjects.map(subject => kept(subject, [pkgSubject]));
+			const keptPackage = keptClasses.some(Boolean) && kept(pkgSubject, classSubjects);
+
+			if (mode === "remove") {
+				if (!keptPackage) return [];
+				return [{ ...bubbleTeaData, bubbleData: bubbleTeaData.bubbleData.filter((_, i) => keptClasses[i]) }];
+			}
+			return [{
+				...bubbleTeaData,
+				dimmed: !keptPackage,
+				bubbleData: bubbleTeaData.bubbleData.map((data, i) => ({ ...data, dimmed: !keptClasses[i] }))
+			}];
+		});
+	};
+}
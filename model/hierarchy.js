@@ -0,0 +1,118 @@
+/**
+ * model/hierarchy.js
+ *
+ * Domain-level helpers for nested packages in the serving table. A package
+ * can be collapsed (its ID in context.collapsed): it is then drawn as one tea
+ * holding the classes of all its subpackages, which are not drawn themselves.
+ * Without collapsed packages every package is drawn with its own classes.
+ * An expanded package with subpackages is drawn as a group: a frame around the
+ * teas below it (and its own tea, if it has classes), in every lane they land in.
+ */
+
+import { classesOf, classesWithin, subpackagesOf } from './nodes.js';
+import { ancestorsOf, isPackage } from './lifting.js';
+
+/**
+ * Returns the number of packages above a package (0 for a top-level one).
+ *
+ * @param {Object} pkg - A package node.
+ * @returns {Number}
+ */
+export function packageDepth(pkg) {
+	return ancestorsOf(pkg).filter(isPackage).length;
+}
+
+/**
+ * isCollapsedWithContext(context):
+ *   - Returns a function telling whether a package is drawn collapsed.
+ *     Only packages with subpackages can be.
+ */
+export function isCollapsedWithContext(context) {
+	const collapsed = context.collapsed ?? new Set();
+	return (pkg) => collapsed.has(pkg.id()) && subpackagesOf(pkg).length > 0;
+}
+
+/**
+ * visiblePackagesWithContext(context):
+ *   - Returns a function listing the packages of context.graph that get a tea:
+ *     those without a collapsed package above them.
+ */
+export function visiblePackagesWithContext(context) {
+	const collapsed = context.collapsed ?? new Set();
+	return () => context.graph.nodes(isPackage)
+		.filter(pkg => !ancestorsOf(pkg).some(ancestor => collapsed.has(ancestor.id())));
+}
+
+/**
+ * classesShownWithContext(context):
+ *   - Returns a function giving the classes a package's tea holds: its own
+ *     classes, or those of its whole subtree when it is collapsed.
+ */
+export function classesShownWithContext(context) {
+	const isCollapsed = isCollapsedWithContext(context);
+	return (pkg) => isCollapsed(pkg) ? classesWithin(pkg) : classesOf(pkg);
+}
+
+/**
+ * groupPathWithContext(context):
+ *   - Returns a function giving the groups a package's tea is drawn in, outermost
+ *     first: its expanded parent packages, and the package itself if it is an
+ *     expanded package with subpackages.
+ */
+export function groupPathWithContext(context) {
+	const isCollapsed = isCollapsedWithContext(context);
+	return (pkg) => {
+		const parents = ancestorsOf(pkg).filter(isPackage).reverse();
+		return subpackagesOf(pkg).length > 0 && !isCollapsed(pkg) ? [...parents, pkg] : parents;
+	};
+}
+
+/**
+ * collapsibleLevelsOf(graph):
+ *   - The depths (0 = top level) at which some package has subpackages,
+ *     i.e. the levels that collapseToLevel can fold.
+ */
+export function collapsibleLevelsOf(graph) {
+	const levels = new Set(graph.nodes(isPackage)
+		.filter(pkg => subpackagesOf(pkg).length > 0)
+		.map(packageDepth));
+	return [...levels].sort((a, b) => a - b);
+}
+
+/**
+ * collapseToLevel(graph, depth):
+ *   - The context.collapsed set that folds every package at 'depth' (and so
+ *     everything below it), leaving the levels above expanded.
+ */
+export function collapseToLevel(graph, depth) {
+	return new Set(graph.nodes(isPackage)
+		.filter(pkg => packageDepth(pkg) === depth && subpackagesOf(pkg).length > 0)
+		.map(pkg => pkg.id()));
+}
+
+/**
+ * toggleCollapsedWithContext(context):
+ *   - Returns a function that unfolds a collapsed package, or otherwise folds it:
+ *     the package itself if it has subpackages, else the package above it
+ *     (updating context.collapsed).
+ *   - Returns whether anything changed (a top-level package without subpackages
+ *     has nothing to fold).
+ */
+export function toggleCollapsedWithContext(context) {
+	return (pkg) => {
+		const collapsed = (context.collapsed ??= new Set());
+		if (isCollapsedWithContext(context)(pkg)) {
+			collapsed.delete(pkg.id());
+			return true;
+		}
+		if (subpackagesOf(pkg).length > 0) {
+			collapsed.add(pkg.id());
+			return true;
+		}
+
+		const parent = ancestorsOf(pkg).find(isPackage);
+		if (!parent) return false;
+		collapsed.add(parent.id());
+		return true;
+	};
+}
@@ -0,0 +1,145 @@
+/**
+ * model/layers.js
+ *
+ * Domain-level helpers for the architectural layer model: which layers
+ * exist, how they are ranked and which may depend on which, derived from
+ * 'allowedDependency' edges.
+ *
+ * The edges form a DAG of layers (cycles, as in relaxed layering, are
+ * allowed: the layers on a cycle share a rank). A layer's rank is the
+ * length of the longest chain of allowed dependencies above it, so layers
+ * side by side (e.g. persistence next to infrastructure) get the same rank.
+ */
+
+import { neighboursOf, stronglyConnectedComponents } from '../graph/algorithms.js';
+
+// Used when the input does not describe its layers
+export const DEFAULT_LAYERS = ['Presentation Layer', 'Service Layer', 'Domain Layer', 'Data Source Layer'];
+
+/**
+ * Returns the layer model of a graph:
+ *   - layers:  layer names ordered by rank, top first (ties keep input order)
+ *   - ranks:   the layer names per rank
+ *   - rankOf:  Map from layer name to rank
+ *   - allowed: Map from layer name to the Set of layers it may depend on directly
+ *   - distance(a, b): the number of allowed dependencies between two layers,
+ *                     ignoring direction; Infinity for unknown or unconnected layers
+ * Without 'allowedDependency' edges, DEFAULT_LAYERS form a chain, each layer
+ * depending on the one below it.
+ *
+ * @param {Object} graph - A graph created by createGraph.
+ * @returns {{ layers: Array<String>, ranks: Array<Array<String>>, rankOf: Map, allowed: Map, distance: Function }}
+ */
+export function layerModelOf(graph) {
+	const allowedDependencies = graph.edges("allowedDependency").filter(edge => edge.source() && edge.target());
+	if (allowedDependencies.length === 0) {
+		return chainModel(DEFAULT_LAYERS);
+	}
+
+	const layerNodes = [...new Set(allowedDependencies.flatMap(edge => [edge.source(), edge.target()]))];
+	const nameOf = (layer) => layer.property("simpleName");
+
+	// Longest-path ranking over the condensation: components come in reverse topological order
+	const components = stronglyConnectedComponents(layerNodes, "allowedDependency").reverse();
+	const componentOf = new Map(components.flatMap((component, i) => component.map(layer => [layer, i])));
+	const componentRank = components.map(() => 0);
+	components.forEach((component, i) => {
+		component.forEach(layer => {
+			neighboursOf(layer, "allowedDependency").forEach(([below]) => {
+				const j = componentOf.get(below);
+				if (j !== undefined && j !== i) {
+					componentRank[j] = Math.max(componentRank[j], componentRank[i] + 1);
+				}
+			});
+		});
+	});
+
+	const rankOf = new Map(layerNodes.map(layer => [nameOf(layer), componentRank[componentOf.get(layer)]]));
+	const allowed = new Map(layerNodes.map(layer => [nameOf(layer), new Set()]));
+	allowedDependencies.forEach(edge => {
+		if (edge.source() !== edge.target()) {
+			allowed.get(nameOf(edge.source())).add(nameOf(edge.target()));
+		}
+	});
+
+	return buildModel(layerNodes.map(nameOf), rankOf, allowed);
+}
+
+/**
+ * Returns the layer names of a graph, ordered by rank from the top layer down
+ * (see layerModelOf).
+ *
+ * @param {Object} graph - A graph created by createGraph.
+ * @returns {Array<String>} - Layer names (without the leading null that context.layers has).
+ */
+export function layersOf(graph) {
+	return layerModelOf(graph).layers;
+}
+
+/**
+ * Returns the lanes of the serving table for a layer model, top to bottom:
+ * one per layer, plus one per pair of layers joined by an allowed dependency.
+ * Each lane is { layers, position }, where 'position' is the average rank of
+ * its layers; lanes at the same position are drawn side by side.
+ *
+ * @param {Object} model - A layer model from layerModelOf.
+ * @returns {Array<{ layers: Array<String>, position: Number }>}
+ */
+export function lanesOf(model) {
+	const { layers, rankOf, allowed } = model;
+	const lane = (names) => ({
+		layers: names,
+		position: names.reduce((acc, name) => acc + rankOf.get(name), 0) / names.length
+	});
+
+	const lanes = layers.map(name => lane([name]));
+	layers.forEach((upper, i) => {
+		layers.slice(i + 1).forEach(lower => {
+			if (allowed.get(upper).has(lower) || allowed.get(lower).has(upper)) {
+				lanes.push(lane([upper, lower]));
+			}
+		});
+	});
+
+	// Stable, so lanes at one position keep the layer order
+	return lanes.sort((a, b) => a.position - b.position);
+}
+
+// DEFAULT_LAYERS (or any list) as a chain: rank = index, each layer allowed to use the next
+function chainModel(names) {
+	const rankOf = new Map(names.map((name, i) => [name, i]));
+	const allowed = new Map(names.map((name, i) => [name, new Set(names.slice(i + 1, i + 2))]));
+	return buildModel(names, rankOf, allowed);
+}
+
+function buildModel(names, rankOf, allowed) {
+	const layers = [...names].sort((a, b) => rankOf.get(a) - rankOf.get(b));
+	const ranks = [];
+	layers.forEach(name => (ranks[rankOf.get(name)] ??= []).push(name));
+
+	// Hop counts between all layers (ignoring direction); layers are few, so a BFS from each is cheap
+	const neighbours = new Map(layers.map(name => [name, new Set(allowed.get(name))]));
+	allowed.forEach((targets, name) => targets.forEach(target => neighbours.get(target).add(name)));
+	const hops = new Map(layers.map(start => {
+		const found = new Map([[start, 0]]);
+		const queue = [start];
+		while (queue.length > 0) {
+			const name = queue.shift();
+			neighbours.get(name).forEach(next => {
+				if (!found.has(next)) {
+					found.set(next, found.get(name) + 1);
+					queue.push(next);
+				}
+			});
+		}
+		return [start, found];
+	}));
+
+	return {
+		layers,
+		ranks: ranks.filter(Boolean),
+		rankOf,
+		allowed,
+		distance: (a, b) => hops.get(a)?.get(b) ?? Infinity
+	};
+}
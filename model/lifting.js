@@ -0,0 +1,128 @@
+/**
+ * model/lifting.js
+ *
+ * Domain-level lifting of method relations ('invokes') to any level of the
+ * containment hierarchy: method -hasScript- class -contains- package
+ * -contains- parent package ... up to the top-level module.
+ */
+
+import { lift, liftBy } from '../graph/graph.js';
+
+// A package-like container (nested classes are Container + Structure)
+export const isPackage = (node) => node.hasLabel("Container") && !node.hasLabel("Structure");
+
+/**
+ * Returns what kind of node a package, class or method node is, or null for any other node.
+ *
+ * @param {Object} node
+ * @returns {String|null} - "package", "class" or "method".
+ */
+export function nodeKindOf(node) {
+	if (isPackage(node)) return "package";
+	if (node.hasLabel("Structure")) return "class";
+	if (node.sources("hasScript").length > 0) return "method";
+	return null;
+}
+
+/**
+ * Returns the containment ancestors of a node, nearest first: the class
+ * owning a method (via 'hasScript'), then every container above it (via 'contains').
+ *
+ * @param {Object} node - A method, class or package node.
+ * @returns {Array<Object>}
+ */
+export function ancestorsOf(node) {
+	const ancestors = [];
+	const seen = new Set([node]);
+	let current = node.sources("hasScript")[0] ?? node.sources("contains")[0];
+
+	// 'seen' guards against malformed input with containment cycles
+	while (current && !seen.has(current)) {
+		ancestors.push(current);
+		seen.add(current);
+		current = current.sources("contains")[0];
+	}
+	return ancestors;
+}
+
+/**
+ * Returns a function mapping a node to its ancestor at a level:
+ *   - "method": the node itself
+ *   - "class": the class owning a method (the class itself for classes)
+ *   - "package": the nearest package containing it
+ *   - "parentPackage": the package containing that package
+ *   - { depth: k }: the package k levels below the top of the hierarchy
+ *     (0 = top-level module); shallower nodes map to their own package
+ *   - a function (node) => ancestor node, used as is
+ *
+ * @param {String|Object|Function} level
+ * @returns {(node: Object) => Object|null}
+ */
+export function ancestorAtLevel(level) {
+	if (typeof level === "function") return level;
+
+	const withSelf = (node) => [node, ...ancestorsOf(node)];
+	switch (level) {
+		case "method":
+			return (node) => node;
+		case "class":
+			return (node) => withSelf(node).find(n => n.hasLabel("Structure")) ?? null;
+		case "package":
+			return (node) => withSelf(node).find(isPackage) ?? null;
+		case "parentPackage":
+			return (node) => withSelf(node).filter(isPackage)[1] ?? null;
+		default:
+			if (level && Number.isInteger(level.depth)) {
+				return (node) => {
+					const packages = withSelf(node).filter(isPackage).reverse(); // top-level first
+					return packages[Math.min(level.depth, packages.length - 1)] ?? null;
+				};
+			}
+			throw new Error(`Unknown lifting level: ${JSON.stringify(level)}`);
+	}
+}
+
+/**
+ * liftToLevel:
+ *   - Lifts a method-level relation to the given level of the containment
+ *     hierarchy. Each derived edge carries the summed weight of the edges it
+ *     stands for (i.e. the number of calls, for unweighted 'invokes').
+ *
+ * @param {Object} graph - A graph created by createGraph.
+ * @param {String|Object|Function} level - See ancestorAtLevel.
+ * @param {{ label?: String, newlabel?: String, includeSelf?: Boolean }} options
+ *        label: relation to lift (default "invokes"); newlabel: label of the result
+ *        (default "calls"); includeSelf: keep edges within one group (default false).
+ * @returns {Array} - Plain edges, ready for graph.addDerivedEdges.
+ */
+export function liftToLevel(graph, level, { label = "invokes", newlabel = "calls", includeSelf = false } = {}) {
+	const ancestorAt = ancestorAtLevel(level);
+	const lifted = liftBy(graph.edges(label), (id) => {
+		const node = graph.node(id);
+		return node ? ancestorAt(node)?.id() : null;
+	}, newlabel);
+
+	return includeSelf ? lifted : lifted.filter(e => e.data.source !== e.data.target);
+}
+
+/**
+ * deriveEdges:
+ *   - (Re)computes the derived edges of 'graph': 'calls' between classes, and 'dependsOn'
+ *     between packages that have none in the input. Earlier derived edges are dropped first.
+ *   - Every graph that is laid out needs them, e.g. for the fan-in/fan-out weighting.
+ */
+export function deriveEdges(graph) {
+	graph.batch(() => {
+		graph.removeEdgesWhere(undefined, e => e.isDerived());
+
+		// Merge edges: 'invokes' + 'hasScript' => 'calls' (kept apart as derived edges for export)
+		const calls = lift(graph.edges("hasScript"), graph.edges("invokes"), "calls").filter(e => e.data.source !== e.data.target);
+		graph.addDerivedEdges(calls);
+
+		// Packages without 'dependsOn' edges in the input get them from the calls between their methods
+		const declared = new Set(graph.edges("dependsOn").map(e => `${e.data.source}\u0000${e.data.target}`));
+		const pkgCalls = liftToLevel(graph, "package", { newlabel: "dependsOn" })
+			.filter(e => !declared.has(`${e.data.source}\u0000${e.data.target}`));
+		graph.addDerivedEdges(pkgCalls);
+	});
+}
@@ -0,0 +1,86 @@
+/**
+ * model/metrics.js
+ *
+ * Coupling metrics over the class-level 'calls' edges:
+ *   - per class: fan-in and fan-out (distinct calling / called classes)
+ *   - per package (after R. C. Martin):
+ *       Ca  afferent coupling, classes outside the package that call into it
+ *       Ce  efferent coupling, classes inside the package that call out of it
+ *       I   instability, Ce / (Ca + Ce)
+ *       A   abstractness, the share of interfaces and abstract classes
+ *       D   distance from the main sequence, |A + I - 1|
+ *
+ * I, A and D are null where they are undefined (no coupling, no classes).
+ * Subpackages count as outside their parent package.
+ */
+
+import { classesOf } from './nodes.js';
+import { ancestorAtLevel } from './lifting.js';
+
+// Values of 'kind' that mark a class as abstract
+const ABSTRACT_KINDS = ["interface", "abstract class", "abstract", "trait", "protocol"];
+
+const packageOf = ancestorAtLevel("package");
+
+/**
+ * isAbstract(clasz):
+ *   - Whether the input marks the class as an interface or abstract class,
+ *     through its 'kind' property (e.g. "interface", "abstract class") or a
+ *     boolean 'abstract' / 'isAbstract' property.
+ */
+export function isAbstract(clasz) {
+	const kind = clasz.property("kind");
+	return (typeof kind === "string" && ABSTRACT_KINDS.includes(kind.toLowerCase()))
+		|| clasz.property("abstract") === true
+		|| clasz.property("isAbstract") === true;
+}
+
+/**
+ * classMetrics(clasz):
+ *   - { fanIn, fanOut } over the 'calls' edges.
+ */
+export function classMetrics(clasz) {
+	return {
+		fanIn: new Set(clasz.sources("calls")).size,
+		fanOut: new Set(clasz.targets("calls")).size
+	};
+}
+
+/**
+ * packageMetrics(pkg):
+ *   - { classes, abstractClasses, ca, ce, instability, abstractness, distance } for a package node.
+ */
+export function packageMetrics(pkg) {
+	const classes = classesOf(pkg);
+	const outside = (clasz) => packageOf(clasz) !== pkg;
+
+	const callers = new Set();
+	let ce = 0;
+	classes.forEach(clasz => {
+		clasz.sources("calls").filter(outside).forEach(caller => callers.add(caller));
+		if (clasz.targets("calls").some(outside)) ce++;
+	});
+	const ca = callers.size;
+
+	const abstractClasses = classes.filter(isAbstract).length;
+	const instability = ca + ce > 0 ? ce / (ca + ce) : null;
+	const abstractness = classes.length > 0 ? abstractClasses / classes.length : null;
+	const distance = instability !== null && abstractness !== null ? Math.abs(abstractness + instability - 1) : null;
+
+	return { classes: classes.length, abstractClasses, ca, ce, instability, abstractness, distance };
+}
+
+/**
+ * metricsTableOf(graph):
+ *   - One row per package and per class, for the metrics table:
+ *     { node, kind: "package"|"class", name, ...metrics }.
+ */
+export function metricsTableOf(graph) {
+	const packages = graph.nodes(node => node.hasLabel("Container") && !node.hasLabel("Structure"));
+	const classes = graph.nodes(node => node.hasLabel("Structure"));
+
+	return [
+		...packages.map(pkg => ({ node: pkg, kind: "package", name: pkg.property("qualifiedName") ?? pkg.id(), ...packageMetrics(pkg) })),
+		...classes.map(clasz => ({ node: clasz, kind: "class", name: clasz.property("qualifiedName") ?? clasz.id(), ...classMetrics(clasz) }))
+	];
+}
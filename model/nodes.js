@@ -6,6 +6,8 @@
  * .sources(), and .property() methods.
  */
 
+import { isPackage } from './lifting.js';
+
 /**
  * Returns an object describing incoming and outgoing 'calls' edges 
  * for a given Structure-labeled node (a class).
@@ -39,8 +41,9 @@ export function pkgDepsOf(node) {
 			incoming: [...new Set(deps.incoming.map(n => n.property("package")))],
 		};
 	} else if (node.hasLabel("Container")) {
-		// A container, gather all class deps
-		const allClasses = classesOf(node);  // e.g. "all structures inside the container"
+		// A container, gather all class deps: of its own classes, or of its
+		// whole subtree when it is drawn collapsed (see model/hierarchy.js)
+		const allClasses = classesWithin(node).filter(n => n.property("package") === node);
 		const aggregated = allClasses
 			.map(classDepsOf)
 			.reduce(
@@ -77,6 +80,38 @@ export function classesOf(pkg) {
 	return pkg.targets("contains").filter(n => n.hasLabel("Structure"));
 }
 
+/**
+ * Returns the packages directly contained in a package.
+ *
+ * @param {Object} pkg - A package node.
+ * @returns {Array}
+ */
+export function subpackagesOf(pkg) {
+	return pkg.targets("contains").filter(isPackage);
+}
+
+/**
+ * Returns the classes of a package and of all its subpackages, at any depth.
+ *
+ * @param {Object} pkg - A package node.
+ * @returns {Array}
+ */
+export function classesWithin(pkg) {
+	const classes = [];
+	const seen = new Set();
+	const stack = [pkg];
+
+	// 'seen' guards against malformed input with containment cycles
+	while (stack.length) {
+		const current = stack.pop();
+		if (seen.has(current)) continue;
+		seen.add(current);
+		classes.push(...classesOf(current));
+		stack.push(...subpackagesOf(current));
+	}
+	return classes;
+}
+
 /**
  * Returns all "method" nodes (or script nodes) of a given class node.
  *
@@ -107,3 +142,13 @@ export function layerOf(method) {
 
 	return "Undefined";
 }
+
+/**
+ * Returns the name a node is listed by: its qualified name if it has one.
+ *
+ * @param {Object} node - A node from the graph.
+ * @returns {String} - Its qualifiedName, else its simpleName, else its ID.
+ */
+export function nameOf(node) {
+	return node.property("qualifiedName") ?? node.property("simpleName") ?? node.id();
+}
@@ -0,0 +1,131 @@
+/**
+ * model/overrides.js
+ *
+ * What-if layer overrides. Overriding the layer of a method, class or package
+ * sets the 'layer' property (the one layerOf honours) of every method it covers,
+ * and marks the overridden node with a 'layerOverride' property. The marked
+ * nodes make up the change-set, which can be exported and applied to another
+ * run of the same system: node IDs (or qualified names) are matched, and
+ * overrides are applied coarse to fine so a method keeps its own override.
+ *
+ * A package override covers the package's own classes, not those of its
+ * subpackages, whether or not it is drawn folded; change-sets say so in
+ * 'packageCovers', so they rewrite the same classes wherever they are applied.
+ *
+ * Overrides go through context.changeLog, so each one can be undone as a whole.
+ */
+
+import { classesOf, methodsOf } from './nodes.js';
+import { nodeKindOf } from './lifting.js';
+
+export const OVERRIDE_PROPERTY = "layerOverride";
+
+// What a package override covers, as recorded in change-sets
+export const PACKAGE_COVERS = "ownClasses";
+
+// Coarse to fine: the order overrides are applied in
+const SCOPES = ["package", "class", "method"];
+
+/**
+ * Returns the nodes an override of 'node' rewrites: for a package its own classes
+ * (see PACKAGE_COVERS) and their methods, for a class its methods.
+ * The node itself is not included.
+ *
+ * @param {Object} node
+ * @returns {Array<Object>}
+ */
+export function coveredNodesOf(node) {
+	switch (nodeKindOf(node)) {
+		case "package": return classesOf(node).flatMap(clasz => [clasz, ...methodsOf(clasz)]);
+		case "class": return methodsOf(node);
+		default: return [];
+	}
+}
+
+/**
+ * overrideLayerWithContext(context):
+ *   - Returns a function that sets the layer of a method, class or package to 'layer'
+ *     as one undoable change. Overrides of nodes it covers are replaced by this one.
+ *   - Throws if the node cannot have a layer.
+ */
+export function overrideLayerWithContext(context) {
+	return (node, layer) => {
+		if (!nodeKindOf(node)) {
+			throw new Error(`${node.id()} is not a method, class or package`);
+		}
+
+		const name = node.property("simpleName") ?? node.id();
+		inTransaction(context)(`Layer of ${name} → ${layer}`, () => {
+			const nodes = coveredNodesOf(node);
+			nodes.filter(n => n.hasProperty(OVERRIDE_PROPERTY)).forEach(n => n.property(OVERRIDE_PROPERTY, null));
+			[node, ...nodes]
+				.filter(n => nodeKindOf(n) === "method")
+				.forEach(method => method.property("layer", layer));
+			node.property(OVERRIDE_PROPERTY, layer);
+		});
+	};
+}
+
+/**
+ * changeSetOf(graph, name):
+ *   - The overrides in a graph as a plain, exportable change-set:
+ *     { name, packageCovers, overrides: [{ scope, target, qualifiedName, layer }] }, coarse to fine.
+ */
+export function changeSetOf(graph, name) {
+	const overrides = graph.nodes(node => node.hasProperty(OVERRIDE_PROPERTY))
+		.map(node => ({
+			scope: nodeKindOf(node),
+			target: node.id(),
+			qualifiedName: node.property("qualifiedName"),
+			layer: node.property(OVERRIDE_PROPERTY)
+		}))
+		.filter(override => override.scope !== null)
+		.sort((a, b) => SCOPES.indexOf(a.scope) - SCOPES.indexOf(b.scope));
+	return { name, packageCovers: PACKAGE_COVERS, overrides };
+}
+
+/**
+ * applyChangeSetWithContext(context):
+ *   - Returns a function that applies a change-set (see changeSetOf) to context.graph
+ *     as one undoable change. Targets are found by ID, else by qualified name.
+ *   - Returns { applied, missing }: the overrides applied and those whose target is not in the graph.
+ *   - Throws if the data is not a change-set, or if its package overrides cover something
+ *     else than PACKAGE_COVERS (change-sets without 'packageCovers' are taken to match).
+ */
+export function applyChangeSetWithContext(context) {
+	const override = overrideLayerWithContext(context);
+	return (changeSet) => {
+		if (!Array.isArray(changeSet?.overrides)) {
+			throw new Error("Not a change-set: expected { name, overrides: [...] }");
+		}
+		if (changeSet.packageCovers !== undefined && changeSet.packageCovers !== PACKAGE_COVERS) {
+			throw new Error(`Package overrides in this change-set cover "${changeSet.packageCovers}", not "${PACKAGE_COVERS}"`);
+		}
+
+		const { graph } = context;
+		const find = ({ target, qualifiedName }) => graph.node(target)
+			?? (qualifiedName ? graph.nodes(node => node.property("qualifiedName") === qualifiedName)[0] : undefined);
+
+		const applied = [];
+		const missing = [];
+		const ordered = [...changeSet.overrides]
+			.sort((a, b) => SCOPES.indexOf(a.scope) - SCOPES.indexOf(b.scope));
+		inTransaction(context)(`Apply change-set ${changeSet.name ?? ""}`.trim(), () => {
+			ordered.forEach(entry => {
+				const node = find(entry);
+				if (node && nodeKindOf(node) && typeof entry.layer === "string") {
+					override(node, entry.layer);
+					applied.push(entry);
+				} else {
+					missing.push(entry);
+				}
+			});
+		});
+		return { applied, missing };
+	};
+}
+
+// One undoable entry when there is a change log, a plain batch otherwise
+const inTransaction = (context) => (name, fn) => context.changeLog
+	? context.changeLog.transaction(name, fn)
+	: context.graph.batch(fn);
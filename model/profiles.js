@@ -0,0 +1,47 @@
+/**
+ * model/profiles.js
+ *
+ * Dependency profiles of classes, derived from the lifted 'calls' relation and
+ * package boundaries:
+ *   - inbound:  called from outside its package, calls nothing outside
+ *   - outbound: calls outside its package, not called from outside
+ *   - transit:  both
+ *   - hidden:   neither
+ */
+
+import { ancestorAtLevel } from './lifting.js';
+
+export const DEPENDENCY_PROFILES = ["inbound", "outbound", "transit", "hidden"];
+
+const packageOf = ancestorAtLevel("package");
+
+/**
+ * Returns the dependency profile of a class.
+ *
+ * @param {Object} clasz - A node with label "Structure".
+ * @returns {String} - One of DEPENDENCY_PROFILES.
+ */
+export function dependencyProfileOf(clasz) {
+	const pkg = packageOf(clasz);
+	const outside = (other) => packageOf(other) !== pkg;
+
+	const calledFromOutside = clasz.sources("calls").some(outside);
+	const callsOutside = clasz.targets("calls").some(outside);
+
+	if (calledFromOutside && callsOutside) return "transit";
+	if (calledFromOutside) return "inbound";
+	if (callsOutside) return "outbound";
+	return "hidden";
+}
+
+/**
+ * Sets the 'dependencyProfile' property of every class in a graph to its computed
+ * profile. It is a derived property, so exports keep the input's value (if any).
+ *
+ * @param {Object} graph - A graph with 'calls' edges between classes.
+ */
+export function deriveDependencyProfiles(graph) {
+	graph.nodes(node => node.hasLabel("Structure")).forEach(clasz => {
+		clasz.deriveProperty("dependencyProfile", dependencyProfileOf(clasz));
+	});
+}
@@ -0,0 +1,96 @@
+/**
+ * model/search.js
+ *
+ * Fuzzy search over the packages, classes and methods of a graph. Names
+ * (simpleName, qualifiedName) match fuzzily: the query's characters must
+ * appear in order, and contiguous runs and word starts score higher.
+ * Descriptions match when they contain every word of the query.
+ */
+
+import { nodeKindOf } from './lifting.js';
+
+// Searched properties and how much a match in each counts
+const FIELDS = [
+	{ key: "simpleName", weight: 1, fuzzy: true },
+	{ key: "qualifiedName", weight: 0.8, fuzzy: true },
+	{ key: "description", weight: 0.5, fuzzy: false }
+];
+
+// A word starts at the beginning, after a separator, or at a capital after a lower-case letter
+const isWordStart = (text, i) => i === 0
+	|| /[^A-Za-z0-9]/.test(text[i - 1])
+	|| (/[A-Z]/.test(text[i]) && /[a-z]/.test(text[i - 1]));
+
+/**
+ * Scores how well 'text' matches 'query', ignoring case: 1 or more for a contiguous
+ * match (more at a word start and for shorter texts), below 1 for a subsequence
+ * match, and null if the query's characters do not all appear in order.
+ *
+ * @param {String} query
+ * @param {String} text
+ * @returns {Number|null}
+ */
+export function fuzzyScore(query, text) {
+	const q = query.toLowerCase();
+	const t = text.toLowerCase();
+	if (q.length === 0) return null;
+
+	const at = t.indexOf(q);
+	if (at !== -1) {
+		return 1 + (at === 0 ? 1 : isWordStart(text, at) ? 0.5 : 0) + q.length / t.length;
+	}
+
+	// Each character scores 1, plus the length of the run it continues, plus 1 at a word start
+	let score = 0;
+	let run = 0;
+	let from = 0;
+	for (const ch of q) {
+		const found = t.indexOf(ch, from);
+		if (found === -1) return null;
+		run = (found === from && from > 0) ? run + 1 : 0;
+		score += 1 + Math.min(run, 1) + (isWordStart(text, found) ? 1 : 0);
+		from = found + 1;
+	}
+	return score / (3 * q.length + 1);
+}
+
+// Every word of the query occurs in the text
+const containsWords = (query, text) => {
+	const words = query.toLowerCase().split(/\s+/).filter(Boolean);
+	const lower = text.toLowerCase();
+	return words.length > 0 && words.every(word => lower.includes(word)) ? 1 : null;
+};
+
+/**
+ * Searches the packages, classes and methods of a graph.
+ *
+ * @param {Object} graph - A graph created by createGraph.
+ * @param {String} query
+ * @param {{ limit?: Number }} options
+ * @returns {Array<{ node, kind, field, score }>} - Best first; 'field' is the property that matched best.
+ */
+export function searchGraph(graph, query, { limit = 50 } = {}) {
+	const trimmed = query.trim();
+	if (!trimmed) return [];
+
+	const results = [];
+	graph.nodes(node => nodeKindOf(node) !== null).forEach(node => {
+		let best = null;
+		FIELDS.forEach(({ key, weight, fuzzy }) => {
+			const value = node.property(key);
+			if (typeof value !== "string") return;
+			const score = fuzzy ? fuzzyScore(trimmed, value) : containsWords(trimmed, value);
+			if (score !== null && (best === null || score * weight > best.score)) {
+				best = { field: key, score: score * weight };
+			}
+		});
+		if (best) {
+			results.push({ node, kind: nodeKindOf(node), ...best });
+		}
+	});
+
+	return results
+		.sort((a, b) => b.score - a.score
+			|| (a.node.property("simpleName") ?? "").length - (b.node.property("simpleName") ?? "").length)
+		.slice(0, limit);
+}
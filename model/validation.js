@@ -0,0 +1,202 @@
+/**
+ * model/validation.js
+ *
+ * Checks uploaded graph data before createGraph sees it, and repairs what it
+ * can so that a partial graph can still be rendered. Every finding carries a
+ * JSON path into the uploaded document, e.g. $.elements.edges[12].data.target.
+ *
+ *   - errors: the element was dropped or a value was replaced
+ *   - warnings: the data is usable but probably not what BubbleTea expects
+ */
+
+// Property types BubbleTea relies on; other properties are not checked
+const NODE_PROPERTY_TYPES = {
+	simpleName: "string",
+	qualifiedName: "string",
+	kind: "string",
+	description: "string",
+	title: "string",
+	docComment: "string",
+	layer: "string",
+	roleStereotype: "string",
+	dependencyProfile: "string",
+	keywords: "array"
+};
+const EDGE_PROPERTY_TYPES = {
+	weight: "number",
+	description: "string"
+};
+
+// Labels the serving table is built from
+const EXPECTED_NODE_LABELS = ["Container", "Structure"];
+const EXPECTED_EDGE_LABELS = ["hasScript", "contains", "invokes"];
+
+const isObject = (value) => value !== null && typeof value === "object" && !Array.isArray(value);
+const typeOf = (value) => (Array.isArray(value) ? "array" : value === null ? "null" : typeof value);
+
+/**
+ * validateGraphData:
+ *   - Validates node and edge shape, referential integrity, expected labels,
+ *     property types and cycles among the allowedDependency layers.
+ *   - Returns a repaired copy of the data: invalid nodes and edges are dropped,
+ *     missing labels/properties/simpleName are filled in, ill-typed known
+ *     properties are removed. data is null if nothing can be rendered at all.
+ *
+ * @param {Object} jsonData - Parsed upload, expected as { elements: { nodes, edges } }.
+ * @returns {{ errors: Array<{ path, message }>, warnings: Array<{ path, message }>, data: Object|null }}
+ */
+export function validateGraphData(jsonData) {
+	const errors = [];
+	const warnings = [];
+	const error = (path, message) => errors.push({ path, message });
+	const warning = (path, message) => warnings.push({ path, message });
+
+	if (!isObject(jsonData) || !isObject(jsonData.elements)) {
+		error("$.elements", "missing; expected { elements: { nodes: [...], edges: [...] } }");
+		return { errors, warnings, data: null };
+	}
+	if (!Array.isArray(jsonData.elements.nodes)) {
+		error("$.elements.nodes", `expected an array, found ${typeOf(jsonData.elements.nodes)}`);
+		return { errors, warnings, data: null };
+	}
+	let rawEdges = jsonData.elements.edges;
+	if (rawEdges === undefined) {
+		warning("$.elements.edges", "missing; the graph has no edges");
+		rawEdges = [];
+	} else if (!Array.isArray(rawEdges)) {
+		error("$.elements.edges", `expected an array, found ${typeOf(rawEdges)}; all edges ignored`);
+		rawEdges = [];
+	}
+
+	const checkProperties = (properties, types, path) => {
+		Object.entries(types).forEach(([key, type]) => {
+			if (key in properties && typeOf(properties[key]) !== type) {
+				error(`${path}.${key}`, `expected ${type}, found ${typeOf(properties[key])}; property removed`);
+				delete properties[key];
+			}
+		});
+	};
+
+	// ---- Nodes ----
+	const nodes = [];
+	const ids = new Set();
+	jsonData.elements.nodes.forEach((node, i) => {
+		const path = `$.elements.nodes[${i}]`;
+		if (!isObject(node) || !isObject(node.data)) {
+			error(`${path}.data`, "missing; node dropped");
+			return;
+		}
+		const { id } = node.data;
+		if (typeof id !== "string" || id === "") {
+			error(`${path}.data.id`, `expected a non-empty string, found ${JSON.stringify(id)}; node dropped`);
+			return;
+		}
+		if (ids.has(id)) {
+			error(`${path}.data.id`, `duplicate id "${id}"; node dropped`);
+			return;
+		}
+		ids.add(id);
+
+		const data = { ...node.data };
+		if (!Array.isArray(data.labels) || data.labels.some(l => typeof l !== "string")) {
+			error(`${path}.data.labels`, "expected an array of strings; labels cleared");
+			data.labels = [];
+		} else if (data.labels.length === 0) {
+			warning(`${path}.data.labels`, `node "${id}" has no labels`);
+		}
+		data.labels = [...data.labels];
+
+		if (data.properties === undefined) {
+			data.properties = {};
+		} else if (!isObject(data.properties)) {
+			error(`${path}.data.properties`, `expected an object, found ${typeOf(data.properties)}; properties cleared`);
+			data.properties = {};
+		}
+		data.properties = { ...data.properties };
+		checkProperties(data.properties, NODE_PROPERTY_TYPES, `${path}.data.properties`);
+
+		if (data.properties.simpleName === undefined) {
+			const fallback = id.split(/[.$/]/).filter(s => s).pop() ?? id;
+			const report = data.labels.some(l => EXPECTED_NODE_LABELS.includes(l)) ? error : warning;
+			report(`${path}.data.properties.simpleName`, `missing on "${id}"; using "${fallback}"`);
+			data.properties.simpleName = fallback;
+		}
+
+		nodes.push({ ...node, data });
+	});
+
+	// ---- Edges ----
+	const edges = [];
+	rawEdges.forEach((edge, i) => {
+		const path = `$.elements.edges[${i}]`;
+		if (!isObject(edge) || !isObject(edge.data)) {
+			error(`${path}.data`, "missing; edge dropped");
+			return;
+		}
+		const { source, target, label } = edge.data;
+		if (typeof label !== "string" || label === "") {
+			error(`${path}.data.label`, `expected a non-empty string, found ${JSON.stringify(label)}; edge dropped`);
+			return;
+		}
+		for (const [key, value] of [["source", source], ["target", target]]) {
+			if (typeof value !== "string") {
+				error(`${path}.data.${key}`, `expected a node id, found ${JSON.stringify(value)}; edge dropped`);
+				return;
+			}
+			if (!ids.has(value)) {
+				error(`${path}.data.${key}`, `"${label}" edge points at missing node "${value}"; edge dropped`);
+				return;
+			}
+		}
+
+		const data = { ...edge.data };
+		if (data.properties === undefined) {
+			data.properties = {};
+		} else if (!isObject(data.properties)) {
+			error(`${path}.data.properties`, `expected an object, found ${typeOf(data.properties)}; properties cleared`);
+			data.properties = {};
+		}
+		data.properties = { ...data.properties };
+		checkProperties(data.properties, EDGE_PROPERTY_TYPES, `${path}.data.properties`);
+
+		edges.push({ ...edge, data, _path: path });
+	});
+
+	// ---- Expected labels ----
+	EXPECTED_NODE_LABELS.forEach(label => {
+		if (!nodes.some(n => n.data.labels.includes(label))) {
+			warning("$.elements.nodes", `no node is labelled "${label}"; the serving table will be empty or incomplete`);
+		}
+	});
+	EXPECTED_EDGE_LABELS.forEach(label => {
+		if (!edges.some(e => e.data.label === label)) {
+			warning("$.elements.edges", `no "${label}" edges; related views will be empty`);
+		}
+	});
+
+	// ---- Layer DAG: cycles are allowed (relaxed layering), but the layers on them share a rank ----
+	const allowed = edges.filter(e => e.data.label === "allowedDependency" && e.data.source !== e.data.target);
+	const inDegree = new Map();
+	allowed.forEach(e => {
+		inDegree.set(e.data.source, inDegree.get(e.data.source) ?? 0);
+		inDegree.set(e.data.target, (inDegree.get(e.data.target) ?? 0) + 1);
+	});
+	const queue = [...inDegree.keys()].filter(id => inDegree.get(id) === 0);
+	while (queue.length > 0) {
+		const id = queue.shift();
+		allowed.filter(e => e.data.source === id).forEach(e => {
+			inDegree.set(e.data.target, inDegree.get(e.data.target) - 1);
+			if (inDegree.get(e.data.target) === 0) queue.push(e.data.target);
+		});
+	}
+	if ([...inDegree.values()].some(degree => degree > 0)) {
+		warning("$.elements.edges", "allowedDependency edges form a cycle; the layers on it are drawn at the same rank");
+	}
+
+	edges.forEach(e => delete e._path);
+	return {
+		errors,
+		warnings,
+		data: { ...jsonData, elements: { ...jsonData.elements, nodes, edges } }
+	};
+}
@@ -0,0 +1,158 @@
+/**
+ * model/violations.js
+ *
+ * Checks the calls in a system against its layer rules. A layer may depend on
+ * the layers its 'allowedDependency' edges point to; without such edges each
+ * layer may depend on the one right below it (see layerModelOf).
+ *
+ * A call between two known layers is
+ *   - fine within a layer or along an allowed dependency,
+ *   - a "skip" if it reaches the target layer only through other layers,
+ *   - a "reverse" violation if the rules do not lead there at all
+ *     (e.g. a lower layer calling up).
+ */
+
+import { layerModelOf } from './layers.js';
+import { layerOf } from './nodes.js';
+import { getBubbleDataWithContext, dominatingLayersWithContext } from './composition.js';
+
+export const VIOLATION_KINDS = {
+	skip: "skips layers",
+	reverse: "against the allowed direction"
+};
+
+/**
+ * layerRulesOf(graph):
+ *   - Returns { layers, allowed, reachable }: the layer names, and for each layer
+ *     the set of layers it may depend on directly and (transitively) at all.
+ */
+export function layerRulesOf(graph) {
+	const { layers, allowed } = layerModelOf(graph);
+
+	// Layers are few, so a walk per layer is cheap
+	const reachable = new Map(layers.map(layer => {
+		const seen = new Set();
+		const stack = [...allowed.get(layer)];
+		while (stack.length) {
+			const next = stack.pop();
+			if (!seen.has(next)) {
+				seen.add(next);
+				stack.push(...allowed.get(next));
+			}
+		}
+		return [layer, seen];
+	}));
+
+	return { layers, allowed, reachable };
+}
+
+/**
+ * classifyCall(rules):
+ *   - Returns a function that, given the layers at both ends of a call, returns
+ *     the kind of violation ("skip" or "reverse"), or null if the call is fine
+ *     or cannot be checked (a layer the rules do not know).
+ */
+export function classifyCall(rules) {
+	return (sourceLayer, targetLayer) => {
+		if (!rules.allowed.has(sourceLayer) || !rules.allowed.has(targetLayer)) return null;
+		if (sourceLayer === targetLayer || rules.allowed.get(sourceLayer).has(targetLayer)) return null;
+		return rules.reachable.get(sourceLayer).has(targetLayer) ? "skip" : "reverse";
+	};
+}
+
+/**
+ * findViolationsWithContext(context):
+ *   - Returns a function that checks the method-level 'invokes' edges (by layerOf)
+ *     and the class-level 'calls' edges (by the dominant layer of each class, as in
+ *     the serving table; classes without a single dominant layer are skipped).
+ *   - Each violation is { level, kind, edge, source, target, sourceLayer, targetLayer, weight }.
+ *
+ * @param {Object} context - Needs .graph and .layers (and the dominance/weighting settings it carries)
+ * @returns {() => Array<Object>}
+ */
+export function findViolationsWithContext(context) {
+	return () => {
+		const classify = classifyCall(layerRulesOf(context.graph));
+		const getBubbleData = getBubbleDataWithContext(context);
+		const dominatingLayers = dominatingLayersWithContext(context);
+
+		const classLayers = new Map();
+		const classLayer = (clasz) => {
+			if (!classLayers.has(clasz)) {
+				const dominant = dominatingLayers(getBubbleData(clasz).bubbleData);
+				classLayers.set(clasz, dominant.length === 1 ? dominant[0] : null);
+			}
+			return classLayers.get(clasz);
+		};
+
+		const check = (level, layerAt) => (edge) => {
+			const source = edge.source();
+			const target = edge.target();
+			if (!source || !target) return [];
+
+			const sourceLayer = layerAt(source);
+			const targetLayer = layerAt(target);
+			const kind = classify(sourceLayer, targetLayer);
+			return kind ? [{ level, kind, edge, source, target, sourceLayer, targetLayer, weight: edge.property("weight") ?? 1 }] : [];
+		};
+
+		return [
+			...context.graph.edges("invokes").flatMap(check("method", layerOf)),
+			...context.graph.edges("calls").flatMap(check("class", classLayer))
+		];
+	};
+}
+
+/**
+ * violationSummary(violations):
+ *   - Plain data for export: counts per level and kind, per pair of layers,
+ *     and the violations themselves with node IDs instead of nodes.
+ */
+export function violationSummary(violations) {
+	const byLevel = {};
+	const byLayerPair = new Map();
+
+	violations.forEach(({ level, kind, sourceLayer, targetLayer, weight }) => {
+		const counts = (byLevel[level] ??= { total: 0, skip: 0, reverse: 0 });
+		counts.total++;
+		counts[kind]++;
+
+		const key = [level, sourceLayer, targetLayer].join("\u0000");
+		if (!byLayerPair.has(key)) {
+			byLayerPair.set(key, { level, kind, sourceLayer, targetLayer, count: 0, weight: 0 });
+		}
+		byLayerPair.get(key).count++;
+		byLayerPair.get(key).weight += weight;
+	});
+
+	return {
+		total: violations.length,
+		byLevel,
+		byLayerPair: [...byLayerPair.values()],
+		violations: violations.map(({ level, kind, source, target, sourceLayer, targetLayer, weight }) => ({
+			level, kind, source: source.id(), target: target.id(), sourceLayer, targetLayer, weight
+		}))
+	};
+}
+
+/**
+ * violatingPackagePairs(violations):
+ *   - The package pairs that violations run between, as "sourceId\u0000targetId" keys,
+ *     for styling the dependency arrows. Methods count for the package of their class.
+ */
+export function violatingPackagePairs(violations) {
+	const packageOf = (node) => {
+		const clasz = node.hasLabel("Structure") ? node : node.sources("hasScript")[0];
+		return clasz?.property("package");
+	};
+
+	const pairs = new Set();
+	violations.forEach(({ source, target }) => {
+		const sourcePkg = packageOf(source);
+		const targetPkg = packageOf(target);
+		if (sourcePkg && targetPkg && sourcePkg !== targetPkg) {
+			pairs.add(`${sourcePkg.id()}\u0000${targetPkg.id()}`);
+		}
+	});
+	return pairs;
+}
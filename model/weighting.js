@@ -0,0 +1,107 @@
+/**
+ * model/weighting.js
+ *
+ * How much each method counts in a class's layer composition (the bubble), and how
+ * much each class counts in its package's composition (the tea).
+ *
+ * The context picks them with context.weighting = { methods, classes, property }:
+ *   - methods: a metric id (default "count", i.e. every method counts as 1)
+ *   - classes: "equal" (default, every class counts the same) or a metric id
+ *   - property: the node property read by the "property" metric
+ */
+
+import { methodsOf } from './nodes.js';
+
+const isNumber = (value) => typeof value === "number" && Number.isFinite(value);
+
+/**
+ * linesOfCode(node):
+ *   - A numeric 'loc'/'linesOfCode' property if there is one, otherwise the
+ *     number of non-blank lines of 'sourceText' (0 without either).
+ */
+export function linesOfCode(node) {
+	for (const key of ["loc", "linesOfCode"]) {
+		if (isNumber(node.property(key))) return node.property(key);
+	}
+	const source = node.property("sourceText");
+	return typeof source === "string" ? source.split("\n").filter(line => line.trim() !== "").length : 0;
+}
+
+// Distinct neighbours, so that parallel edges do not count twice
+const distinct = (nodes) => new Set(nodes).size;
+
+// Class-level metrics default to the total over the class's methods
+const totalOverMethods = (ofMethod) => (clasz, weighting) =>
+	methodsOf(clasz).reduce((acc, method) => acc + ofMethod(method, weighting), 0);
+
+export const weightMetrics = {
+	count: {
+		label: "Method count",
+		ofMethod: () => 1,
+		ofClass: (clasz) => methodsOf(clasz).length
+	},
+	loc: {
+		label: "Lines of code",
+		ofMethod: (method) => linesOfCode(method),
+		ofClass: (clasz, weighting) => ["loc", "linesOfCode"].some(key => isNumber(clasz.property(key)))
+			? linesOfCode(clasz)
+			: totalOverMethods(linesOfCode)(clasz, weighting)
+	},
+	fanIn: {
+		label: "Invocation fan-in",
+		ofMethod: (method) => distinct(method.sources("invokes")),
+		ofClass: (clasz) => distinct(clasz.sources("calls"))
+	},
+	fanOut: {
+		label: "Invocation fan-out",
+		ofMethod: (method) => distinct(method.targets("invokes")),
+		ofClass: (clasz) => distinct(clasz.targets("calls"))
+	},
+	property: {
+		label: "Numeric property",
+		ofMethod: (method, { property }) => isNumber(method.property(property)) ? method.property(property) : 0,
+		ofClass: (clasz, weighting) => isNumber(clasz.property(weighting.property))
+			? clasz.property(weighting.property)
+			: totalOverMethods(weightMetrics.property.ofMethod)(clasz, weighting)
+	}
+};
+
+export const DEFAULT_WEIGHTING = { methods: "count", classes: "equal", property: null };
+
+/**
+ * methodWeightWithContext(context):
+ *   - Returns a function giving the weight of a method under context.weighting.
+ *     Negative values count as 0.
+ */
+export function methodWeightWithContext(context) {
+	const weighting = { ...DEFAULT_WEIGHTING, ...context.weighting };
+	const metric = weightMetrics[weighting.methods] ?? weightMetrics.count;
+	return (method) => Math.max(0, metric.ofMethod(method, weighting));
+}
+
+/**
+ * classWeightWithContext(context):
+ *   - Returns a function giving the weight of a class under context.weighting
+ *     (1 for every class with "equal"). Negative values count as 0.
+ */
+export function classWeightWithContext(context) {
+	const weighting = { ...DEFAULT_WEIGHTING, ...context.weighting };
+	const metric = weightMetrics[weighting.classes];
+	if (!metric) return () => 1;
+	return (clasz) => Math.max(0, metric.ofClass(clasz, weighting));
+}
+
+/**
+ * numericPropertiesOf(nodes):
+ *   - Names of the properties that hold a number on at least one of 'nodes',
+ *     i.e. the candidates for the "property" metric.
+ */
+export function numericPropertiesOf(nodes) {
+	const keys = new Set();
+	nodes.forEach(node => {
+		Object.entries(node.data.properties ?? {}).forEach(([key, value]) => {
+			if (isNumber(value)) keys.add(key);
+		});
+	});
+	return [...keys].sort();
+}
@@ -1,15 +1,25 @@
+import { encodedHueWithContext } from './coloring.js';
+
 /**
  * drawBubbleWithContext(context)
  *   - returns a function that, given a data object { class, bubbleData },
  *     renders a <g> element containing either a pie chart or a single circle
  *     for the bubble, and attaches signals for interaction.
+ *   - context.coloring picks what the rim and the whole bubble encode (see render/coloring.js);
+ *     with context.stereotypeFilter set, classes of other role stereotypes are dimmed,
+ *     as are classes the filters dimmed (data.dimmed, see model/filters.js).
  *
  * @param {Object} context - your global context (layers, infoPanel, arrowRenderer, etc.)
  * @returns {(data: { class: Object, bubbleData: Array }) => d3.Selection<SVGGElement, unknown, null, undefined>}
  */
 export function drawBubbleWithContext(context) {
+	const encodedHue = encodedHueWithContext(context);
+	const rimHueOf = encodedHue(context.coloring?.rim);
+	const bubbleHueOf = encodedHue(context.coloring?.bubble);
+	const wholeBubble = context.coloring?.bubble !== undefined && context.coloring.bubble !== "none";
+
 	return (data) => {
-		const { class: clasz, bubbleData } = data;
+		const { class: clasz, bubbleData, dimmed } = data;
 
 		// Basic bubble size
 		const width = 20;
@@ -22,14 +32,25 @@ export function drawBubbleWithContext(context) {
 			.style('pointer-events', 'all')
 			.datum(clasz);
 
-		// A circle behind the pie slices (originally the role stereotype color, but now black for less clutter)
-		const rsColor = 'black';
+		if (dimmed || (context.stereotypeFilter && clasz.property("roleStereotype") !== context.stereotypeFilter)) {
+			bubble.attr('opacity', 0.2);
+		}
+
+		// A circle behind the pie slices (black for less clutter, unless the rim encodes something)
+		const rimHue = rimHueOf(clasz);
+		const rsColor = rimHue !== undefined ? `hsl(${rimHue}, 100%, 40%)` : 'black';
 		bubble.append('circle')
 			.attr('r', radius + 5 / 2)
-			.attr('fill-opacity', 0.5)
+			.attr('fill-opacity', rimHue !== undefined ? 0.8 : 0.5)
 			.attr('fill', rsColor);
 
-		if (bubbleData.length === 0) {
+		if (wholeBubble) {
+			// The whole bubble in one color instead of the layer pie (grey without a value)
+			const bubbleHue = bubbleHueOf(clasz);
+			bubble.append('circle')
+				.attr('r', radius)
+				.attr('fill', bubbleHue !== undefined ? `hsl(${bubbleHue}, 90%, 40%)` : 'hsl(0, 0%, 60%)');
+		} else if (bubbleData.length === 0) {
 			// If there's no bubbleData, just draw a black circle
 			bubble.append('circle')
 				.attr('r', radius)
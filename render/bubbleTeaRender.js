@@ -1,7 +1,8 @@
-import { layerCompositionComparatorWithContext, dominatingLayersWithContext } from '../model/composition.js';
+import { layerCompositionComparatorWithContext, dominatingLayersWithContext, dominantLayerName } from '../model/composition.js';
 import { drawBubbleWithContext } from './bubbleRender.js';
 import { average, stringToHue } from '../utils/utils.js';
 import { calculatePositions, calculateLayoutDimensions, drawLayoutContainer } from './layoutUtils.js';
+import { isCollapsedWithContext } from '../model/hierarchy.js';
 
 /**
  * drawBubbleTeaWithContext(context)
@@ -17,11 +18,12 @@ export function drawBubbleTeaWithContext(context) {
 	return (bubbleTeaData) => {
 		const compare = layerCompositionComparatorWithContext(context);
 		const drawBubble = drawBubbleWithContext(context);
-		const { package: pkg, dominant, bubbleData: data } = bubbleTeaData;
+		const { package: pkg, dominant, bubbleData: data, dimmed } = bubbleTeaData;
 	
 		if (data.length === 0) return null;
 	
-		const pkgName = pkg.property("simpleName");
+		// A collapsed package also holds the classes of its subpackages
+		const pkgName = pkg.property("simpleName") + (isCollapsedWithContext(context)(pkg) ? " ▸" : "");
 		const bubbleRadius = 20;
 		const padding = 10;
 	
@@ -43,6 +45,10 @@ export function drawBubbleTeaWithContext(context) {
 			.attr("id", pkg.id())
 			.style("pointer-events", "all")
 			.datum(pkg);
+		if (dimmed) {
+			// Filtered out, see model/filters.js
+			g.attr("opacity", 0.25);
+		}
 		g.node().appendChild(pkgG.node());
 		// Sort and map bubble data to draw pie charts
 		data
@@ -63,12 +69,10 @@ export function drawBubbleTeaWithContext(context) {
 			.style("font-size", "20px")
 			.text(pkgName);
 	
-		const pkgLayer = dominant.length == 0 ? "Cross-cutting" : dominant.join(", ");
-		pkg.property("layer", pkgLayer);
+		pkg.deriveProperty("layer", dominantLayerName(dominant));
 		data.forEach(({ class: clasz, bubbleData }) => {
 			const clsDominant = dominatingLayersWithContext(context)(bubbleData);
-			const clsLayer = clsDominant.length == 0 ? "Cross-cutting" : clsDominant.join(", ");
-			clasz.property("layer", clsLayer);
+			clasz.deriveProperty("layer", dominantLayerName(clsDominant));
 		});
 	
 		return g;
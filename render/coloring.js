@@ -0,0 +1,46 @@
+/**
+ * render/coloring.js
+ *
+ * Categorical encodings for class bubbles. The rim and the whole bubble can each
+ * show one of them (context.coloring = { rim, bubble }); "none" keeps the plain
+ * black rim and the layer pie. Hues come from the context, e.g. context.roleStereotypeHues.
+ */
+
+export const COLOR_ENCODINGS = {
+	none: { label: "None" },
+	roleStereotype: { label: "Role stereotype", property: "roleStereotype", hues: "roleStereotypeHues" },
+	dependencyProfile: { label: "Dependency profile", property: "dependencyProfile", hues: "dependencyProfileHues" }
+};
+
+export const DEFAULT_COLORING = { rim: "none", bubble: "none" };
+
+/**
+ * encodedHueWithContext(context):
+ *   - Returns a function that, given an encoding id and a class, returns the hue
+ *     the encoding assigns to the class, or undefined (no encoding, or a value
+ *     without a hue, e.g. a class with no role stereotype).
+ */
+export function encodedHueWithContext(context) {
+	return (encodingId) => (clasz) => {
+		const encoding = COLOR_ENCODINGS[encodingId];
+		if (!encoding?.property) return undefined;
+		return context[encoding.hues]?.[clasz.property(encoding.property)];
+	};
+}
+
+/**
+ * legendEntriesWithContext(context):
+ *   - Returns the [value, hue] pairs to show for an encoding: the values that
+ *     occur on the classes of context.graph, in the order of the hue table.
+ */
+export function legendEntriesWithContext(context) {
+	return (encodingId) => {
+		const encoding = COLOR_ENCODINGS[encodingId];
+		if (!encoding?.property) return [];
+
+		const present = new Set(context.graph
+			.nodes(node => node.hasLabel("Structure"))
+			.map(clasz => clasz.property(encoding.property)));
+		return Object.entries(context[encoding.hues] ?? {}).filter(([value]) => present.has(value));
+	};
+}
@@ -1,5 +1,7 @@
 import { drawBubbleTeaWithContext } from "./bubbleTeaRender.js";
-import { average, max, stringToHue } from "../utils/utils.js";
+import { average, max, sum, stringToHue } from "../utils/utils.js";
+import { layerModelOf, lanesOf } from "../model/layers.js";
+import { groupPathWithContext } from "../model/hierarchy.js";
 import {
 	createGradient,
 	createHighlighter,
@@ -34,23 +36,20 @@ export function measureSvgContent(g) {
 
 /**
  * generateLayerOrder:
- *   - Creates an array of single-layer and adjacent-layer combinations,
+ *   - Creates the lanes of the layer model (single layers and pairs joined by an
+ *     allowed dependency, see lanesOf) as layer-name arrays, top to bottom,
  *     plus an empty array entry for cross-cutting.
+ *   - Also returns each lane's row position: lanes at one position are parallel.
  */
-function generateLayerOrder(layers) {
-	const layerOrder = [];
-
-	// Combinations of consecutive layers (pairs)
-	for (let i = 0; i < layers.length - 1; i++) {
-		layerOrder.push([layers[i]]);
-		layerOrder.push([layers[i], layers[i + 1]]);
-	}
-	layerOrder.push([layers[layers.length - 1]]);
+export function generateLayerOrder(model) {
+	const lanes = lanesOf(model);
+	const layerOrder = lanes.map(lane => lane.layers);
+	const positions = Object.fromEntries(lanes.map(lane => [lane.layers.join(", "), lane.position]));
 
 	// Add the cross-cutting layer (represented by an empty array)
 	layerOrder.push([]);
 
-	return layerOrder;
+	return { layerOrder, positions };
 }
 
 /**
@@ -58,7 +57,7 @@ function generateLayerOrder(layers) {
  *   - Builds a dictionary from "layerName" (string) -> array of bubbleTeaData.
  *   - If a bubbleTeaData doesn't match any key, it goes to the cross-cutting array.
  */
-function categorizeBubbleTeaData(bubbleTeaDataArray, context, layerOrder) {
+export function categorizeBubbleTeaData(bubbleTeaDataArray, context, layerOrder) {
 	// Prepare an object keyed by each layer combination string
 	const layersMap = {};
 	layerOrder.forEach(layer => (layersMap[layer.join(", ")] = []));
@@ -91,7 +90,8 @@ function drawCrossCuttingLayer({
 	tableWidth,
 	bubbleSpacing,
 	servingTableG,
-	drawBubbleTea
+	drawBubbleTea,
+	groupPath
 }) {
 	let grey_area = null;
 	let grey_height = 0;
@@ -109,31 +109,19 @@ function drawCrossCuttingLayer({
 	const fill = "hsl(0, 0%, 95%)";
 	const stroke = "hsl(0, 0%, 40%)";
 
-	// Render each item
-	const bboxes = [];
-	const groups = items.map(drawBubbleTea)
-		.filter(e => e != null)
-		.map(tea => {
-			const bbox = measureSvgContent(tea);
-			bboxes.push(bbox);
-			return tea;
-		});
+	// Render each item; groups stack their teas, as wide as the widest tea
+	const units = measureTeas(items, drawBubbleTea, groupPath, null, bubbleSpacing / 2);
 
-	if (bboxes.length > 0) {
-		const layerWidth = max(bboxes.map(b => b.width)) + 2 * bubbleSpacing;
+	if (units.length > 0) {
+		const layerWidth = max(units.map(unit => unit.width)) + 2 * bubbleSpacing;
 
 		let yOffset = 2 * bubbleSpacing;
 
 		layer_group.attr("transform", `translate(${tableWidth - layerWidth}, 0)`);
 
-		groups.forEach((g, i) => {
-			servingTableG.node().append(g.node());
-			const bbox = bboxes[i];
-			g.attr(
-				"transform",
-				`translate(${(tableWidth - layerWidth) + (layerWidth - bbox.width) / 2}, ${yOffset + bubbleSpacing / 2})`
-			);
-			yOffset += bbox.height + bubbleSpacing;
+		units.forEach(unit => {
+			unit.place(servingTableG, (tableWidth - layerWidth) + (layerWidth - unit.width) / 2, yOffset + bubbleSpacing / 2);
+			yOffset += unit.height + bubbleSpacing;
 		});
 
 		// Title text
@@ -167,106 +155,306 @@ function drawCrossCuttingLayer({
 	return { tableWidth, grey_area, grey_height };
 }
 
+// Groups of teas: the padding inside their frame, and the height of their title
+const GROUP_PADDING = 8;
+const GROUP_TITLE = 24;
+
+/**
+ * teaUnit:
+ *   - A drawn bubble tea as a unit of the layout: its size, and place(servingTableG, x, y),
+ *     which puts its top-left corner at (x, y).
+ */
+const teaUnit = (tea, bbox) => ({
+	width: bbox.width,
+	height: bbox.height,
+	place: (servingTableG, x, y) => {
+		servingTableG.node().append(tea.node());
+		tea.attr("transform", `translate(${x - bbox.x}, ${y - bbox.y})`);
+	}
+});
+
+/**
+ * wrapUnits:
+ *   - Splits units into rows no wider than maxWidth; a row holds at least one unit.
+ */
+function wrapUnits(units, maxWidth, gap) {
+	const rows = [];
+	units.forEach(unit => {
+		const row = rows[rows.length - 1];
+		if (row && row.width + gap + unit.width <= maxWidth) {
+			row.units.push(unit);
+			row.width += gap + unit.width;
+			row.height = Math.max(row.height, unit.height);
+		} else {
+			rows.push({ units: [unit], width: unit.width, height: unit.height });
+		}
+	});
+	return rows;
+}
+
+/**
+ * groupUnit:
+ *   - Expanded parent packages as a unit of the layout: a titled frame around their
+ *     units (teas and nested groups), wrapped into rows within maxWidth. 'pkgs' is a
+ *     chain of packages, each the only content of the one before, framed once; the
+ *     frame stands for (and its title folds) the innermost.
+ *   - The frame is drawn before the teas, so it stays behind them; the teas remain
+ *     children of the serving table.
+ */
+function groupUnit(pkgs, units, maxWidth, gap) {
+	const pkg = pkgs[pkgs.length - 1];
+	const rows = wrapUnits(units, maxWidth - 2 * GROUP_PADDING, gap);
+	const width = max(rows.map(row => row.width)) + 2 * GROUP_PADDING;
+	const height = GROUP_TITLE + sum(rows.map(row => row.height)) + gap * (rows.length - 1) + GROUP_PADDING;
+
+	return {
+		width,
+		height,
+		place: (servingTableG, x, y) => {
+			const group = servingTableG.append("g")
+				.attr("class", "tea-group")
+				.attr("transform", `translate(${x}, ${y})`)
+				.datum(pkg);
+			group.append("rect")
+				.attr("class", "tea-group-frame")
+				.attr("width", width)
+				.attr("height", height)
+				.attr("rx", GROUP_PADDING)
+				.attr("fill", "hsla(0, 0%, 100%, 0.35)")
+				.attr("stroke", "hsl(0, 0%, 45%)")
+				.attr("stroke-dasharray", "4, 3");
+			group.append("text")
+				.attr("class", "tea-group-title")
+				.attr("x", GROUP_PADDING)
+				.attr("y", GROUP_TITLE - GROUP_PADDING)
+				.attr("font-size", 14)
+				.attr("fill", "hsl(0, 0%, 25%)")
+				.text(`▾ ${pkgs.map(p => p.property("simpleName") ?? p.id()).join(".")}`)
+				.append("title")
+				.text(`Fold ${pkg.property("qualifiedName") ?? pkg.id()}`);
+
+			let rowY = y + GROUP_TITLE;
+			rows.forEach(row => {
+				let unitX = x + GROUP_PADDING;
+				row.units.forEach(unit => {
+					unit.place(servingTableG, unitX, rowY);
+					unitX += unit.width + gap;
+				});
+				rowY += row.height + gap;
+			});
+		}
+	};
+}
+
+/**
+ * measureTeas:
+ *   - Renders the bubble teas of a lane and measures each of them, then nests them in
+ *     the groups of their expanded parent packages (see groupPathWithContext).
+ *   - Returns the lane's top-level units (see teaUnit and groupUnit). Groups wrap their
+ *     units at maxWidth, or at the width of the widest tea if it is null.
+ */
+function measureTeas(items, drawBubbleTea, groupPath, maxWidth, gap) {
+	const teas = items
+		.map(item => ({ item, tea: drawBubbleTea(item) }))
+		.filter(({ tea }) => tea != null)
+		.map(({ item, tea }) => ({ item, unit: teaUnit(tea, measureSvgContent(tea)) }));
+	if (teas.length === 0) return [];
+
+	// The tree of groups, each in the order of its first tea
+	const root = { units: [], groups: new Map() };
+	teas.forEach(({ item, unit }) => {
+		let node = root;
+		groupPath(item.package).forEach(pkg => {
+			if (!node.groups.has(pkg)) {
+				const group = { pkg, units: [], groups: new Map() };
+				node.groups.set(pkg, group);
+				node.units.push(group);
+			}
+			node = node.groups.get(pkg);
+		});
+		node.units.push(unit);
+	});
+
+	const toUnits = (node, width) => node.units.map(entry => {
+		if (!entry.groups) return entry;
+
+		// Packages holding nothing but one subpackage share its frame
+		const pkgs = [entry.pkg];
+		while (entry.units.length === 1 && entry.units[0].groups) {
+			entry = entry.units[0];
+			pkgs.push(entry.pkg);
+		}
+		return groupUnit(pkgs, toUnits(entry, width - 2 * GROUP_PADDING), width, gap);
+	});
+	return toUnits(root, maxWidth ?? max(teas.map(({ unit }) => unit.width)));
+}
+
+/**
+ * laneWidths:
+ *   - Splits the table width over the lanes of one row: each lane gets room for its
+ *     widest tea, and what is left goes to the lanes that need more, in proportion.
+ */
+function laneWidths(lanes, tableWidth, bubbleSpacing) {
+	if (lanes.length === 1) return [tableWidth];
+
+	const minimal = lanes.map(({ units }) => max(units.map(unit => unit.width)) + 2 * bubbleSpacing);
+	const natural = lanes.map(({ units }) => sum(units.map(unit => unit.width + bubbleSpacing)) + bubbleSpacing);
+	const left = tableWidth - sum(minimal);
+	if (left <= 0) {
+		return natural.map(width => tableWidth * width / sum(natural));
+	}
+
+	const extra = natural.map((width, i) => width - minimal[i]);
+	const totalExtra = sum(extra);
+	return minimal.map((width, i) => width + (totalExtra > 0 ? left * extra[i] / totalExtra : left / lanes.length));
+}
+
+/**
+ * laneColors:
+ *   - The background and title colors of a lane, from the hues of its layers
+ *     ("layerName" is a layersMap key; "" is the grey cross-cutting lane).
+ */
+export function laneColors(layerName) {
+	const layerNames = layerName ? layerName.split(", ") : [];
+	const my_hue = average(layerNames.map(stringToHue));
+	const fill = layerNames.length > 0
+		? `hsl(${my_hue}, 50%, 90%)`
+		: "hsl(0, 0%, 90%)";
+	const stroke = layerNames.length > 0
+		? `hsl(${my_hue}, 90%, 40%)`
+		: "hsl(0, 0%, 40%)";
+	return { fill, stroke };
+}
+
+/**
+ * drawLane:
+ *   - Draws one lane (its title, background and bubble teas) at (x, y) with the given width,
+ *     wrapping the teas (and groups of teas) into more rows as needed.
+ *   - Returns the background rect and the height the lane takes.
+ */
+function drawLane({
+	layerName,
+	units,
+	x,
+	y,
+	width,
+	bubbleSpacing,
+	servingTableG
+}) {
+	const layer_group = servingTableG.insert("g", ":first-child")
+		.attr("x", 0)
+		.attr("y", 0)
+		.attr("transform", `translate(${x}, ${y})`);
+
+	const { fill, stroke } = laneColors(layerName);
+
+	// Title background
+	layer_group.append("rect")
+		.attr("x", 0)
+		.attr("y", 0)
+		.attr("width", width)
+		.attr("height", 36)
+		.attr("fill", stroke);
+
+	// Title text
+	layer_group.append("text")
+		.attr("x", 10)
+		.attr("y", 24)
+		.attr("font-size", 20)
+		.attr("font-weight", "bold")
+		.attr("fill", "white")
+		.text(layerName);
+
+	const maxTeaHeight = max(units.map(unit => unit.height));
+	const layerHeight = maxTeaHeight + 2 * bubbleSpacing;
+
+	let xOffset = bubbleSpacing;
+	let yOffset = layerHeight;
+
+	units.forEach(unit => {
+		// If we exceed the lane width, move to a new row (unless the row is still empty)
+		if (xOffset > bubbleSpacing && xOffset + unit.width + bubbleSpacing > width) {
+			xOffset = bubbleSpacing;
+			yOffset += layerHeight;
+		}
+		unit.place(servingTableG, x + xOffset, y + yOffset - maxTeaHeight + bubbleSpacing / 2);
+		xOffset += unit.width + bubbleSpacing;
+	});
+
+	// The main rect behind everything for this lane
+	const rect = layer_group.insert("rect", ":first-child")
+		.attr("x", 0)
+		.attr("y", 0)
+		.attr("width", width)
+		.attr("height", yOffset + bubbleSpacing)
+		.attr("fill", fill);
+
+	return { rect, height: yOffset + bubbleSpacing };
+}
+
 /**
  * drawMainLayers:
- *   - Iterates over the remaining layer keys (excluding ""), 
- *     draws each section with its color, label, and bubble teas.
+ *   - Iterates over the remaining layer keys (excluding ""), grouped into rows by
+ *     their position (rank); the lanes of a row are drawn side by side, with its
+ *     color, label, and bubble teas each.
  *
  * Returns the final updated { totalHeight, lastRect }.
  */
 function drawMainLayers({
 	layersMap,
+	positions,
 	tableWidth,
 	bubbleSpacing,
 	servingTableG,
 	drawBubbleTea,
+	groupPath,
 	totalHeight
 }) {
 	let last_rect = null;
 
-	// Filter out cross-cutting key: we only want the others
-	Object.entries(layersMap)
-		.filter(([layerName]) => layerName) // remove "" key
-		.forEach(([layerName, items]) => {
-			if (items.length === 0) return;
-
-			const layer_group = servingTableG.insert("g", ":first-child")
-				.attr("x", 0)
-				.attr("y", 0);
-
-			const layerNames = layerName ? layerName.split(", ") : [];
-			const my_hue = average(layerNames.map(stringToHue));
-			const fill = layerNames.length > 0
-				? `hsl(${my_hue}, 50%, 90%)`
-				: "hsl(0, 0%, 90%)";
-			const stroke = layerNames.length > 0
-				? `hsl(${my_hue}, 90%, 40%)`
-				: "hsl(0, 0%, 40%)";
-
-			// Title background
-			layer_group.append("rect")
-				.attr("x", 0)
-				.attr("y", 0)
-				.attr("width", tableWidth)
-				.attr("height", 36)
-				.attr("fill", stroke);
-
-			// Title text
-			layer_group.append("text")
-				.attr("x", 10)
-				.attr("y", 24)
-				.attr("font-size", 20)
-				.attr("font-weight", "bold")
-				.attr("fill", "white")
-				.text(layerName);
-
-			// Render each item
-			const bboxes = [];
-			const groups = items.map(drawBubbleTea)
-				.filter(e => e != null)
-				.map(tea => {
-					const bbox = measureSvgContent(tea);
-					bboxes.push(bbox);
-					return tea;
-				});
-
-			const maxTeaHeight = max(bboxes.map(b => b.height));
-			const layerHeight = maxTeaHeight + 2 * bubbleSpacing;
-			const layerOffset = totalHeight;
-
-			// Position this layer group
-			layer_group.attr("transform", `translate(0, ${totalHeight})`);
-			totalHeight += layerHeight + bubbleSpacing;
-
-			let xOffset = bubbleSpacing;
-			let yOffset = layerHeight;
-
-			groups.forEach((g, i) => {
-				servingTableG.node().append(g.node());
-				const bbox = bboxes[i];
-
-				// If we exceed the tableWidth, move to a new row
-				if (xOffset + bbox.width + bubbleSpacing > tableWidth) {
-					xOffset = bubbleSpacing;
-					yOffset += layerHeight;
-					totalHeight += layerHeight; // expand total height
-				}
-				g.attr(
-					"transform",
-					`translate(${xOffset - bbox.x}, ${layerOffset + yOffset - maxTeaHeight + bubbleSpacing / 2})`
-				);
-				xOffset += bbox.width + bubbleSpacing;
+	// Filter out cross-cutting key and empty lanes: we only want the others
+	const rows = d3.groups(
+		Object.entries(layersMap).filter(([layerName, items]) => layerName && items.length > 0),
+		([layerName]) => positions[layerName]
+	);
+
+	rows.forEach(([, entries]) => {
+		// Groups wrap within their share of the row
+		const groupWidth = tableWidth / entries.length - 2 * bubbleSpacing;
+		const lanes = entries
+			.map(([layerName, items]) => ({
+				layerName,
+				units: measureTeas(items, drawBubbleTea, groupPath, groupWidth, bubbleSpacing / 2)
+			}))
+			.filter(lane => lane.units.length > 0);
+		if (lanes.length === 0) return;
+
+		const widths = laneWidths(lanes, tableWidth, bubbleSpacing);
+		let x = 0;
+		const drawn = lanes.map((lane, i) => {
+			const result = drawLane({
+				...lane,
+				x,
+				y: totalHeight,
+				width: widths[i],
+				bubbleSpacing,
+				servingTableG
 			});
+			x += widths[i];
+			return result;
+		});
 
-			// The main rect behind everything for this layer
-			last_rect = layer_group.insert("rect", ":first-child")
-				.attr("x", 0)
-				.attr("y", 0)
-				.attr("width", tableWidth)
-				.attr("height", yOffset + bubbleSpacing)
-				.attr("fill", fill);
+		// Parallel lanes share the height of the tallest, with a white line between them
+		const rowHeight = max(drawn.map(lane => lane.height));
+		drawn.forEach(({ rect }) => {
+			rect.attr("height", rowHeight);
+			if (drawn.length > 1) rect.attr("stroke", "white").attr("stroke-width", 2);
 		});
 
+		totalHeight += rowHeight;
+		last_rect = drawn[drawn.length - 1].rect;
+	});
+
 	return { totalHeight, lastRect: last_rect };
 }
 
@@ -315,8 +503,8 @@ function finalizeTable({
  *     grouped by layer or cross-cutting, into a single <svg>.
  */
 export const drawServingTableWithContext = (context) => (bubbleTeaDataArray) => {
-	// 1) Precompute layer order from context.layers (skipping the first 'null'?)
-	const layerOrder = generateLayerOrder(context.layers.slice(1));
+	// 1) Precompute the lanes from the layer model (ranked from the allowed dependencies)
+	const { layerOrder, positions } = generateLayerOrder(context.layerModel ?? layerModelOf(context.graph));
 
 	// 2) Build a map from layerKey -> array of bubbleTeaData
 	const layersMap = categorizeBubbleTeaData(bubbleTeaDataArray, context, layerOrder);
@@ -342,6 +530,7 @@ export const drawServingTableWithContext = (context) => (bubbleTeaDataArray) =>
 
 	// 4) Handle the cross-cutting layer (key == "")
 	const drawBubbleTea = drawBubbleTeaWithContext(context);
+	const groupPath = groupPathWithContext(context);
 	const crossCuttingItems = layersMap[""];
 	const {
 		tableWidth: newTableWidth,
@@ -352,17 +541,20 @@ export const drawServingTableWithContext = (context) => (bubbleTeaDataArray) =>
 		tableWidth,
 		bubbleSpacing,
 		servingTableG,
-		drawBubbleTea
+		drawBubbleTea,
+		groupPath
 	});
 	tableWidth = newTableWidth; // updated
 
 	// 5) Handle all main layers
 	const { totalHeight: newTotalHeight, lastRect } = drawMainLayers({
 		layersMap,
+		positions,
 		tableWidth,
 		bubbleSpacing,
 		servingTableG,
 		drawBubbleTea,
+		groupPath,
 		totalHeight
 	});
 	totalHeight = newTotalHeight;
@@ -1,4 +1,5 @@
 import { pkgDepsOf } from "../model/nodes.js";
+import { violatingPackagePairs } from "../model/violations.js";
 import { getTransformedPosition, bringToFront, moveAfter } from "../utils/domUtils.js";
 
 export const clearArrows = (sel) => () => {
@@ -6,10 +7,22 @@ export const clearArrows = (sel) => () => {
 	svg.selectAll(".dep-line").remove();
 }
 
+// Lines along which some call breaks the layer rules are drawn red and dashed
+const markViolation = (violating) => (line) => {
+	if (violating) {
+		line.classed("violation", true)
+			.attr('stroke', 'crimson')
+			.attr('stroke-opacity', 0.8)
+			.attr('stroke-dasharray', '6, 4');
+	}
+};
+
 // Arrow renderer
-export const displayArrows = (sel) => (node) => {
+export const displayArrows = (context) => (sel) => (node) => {
 	
 	const svg = d3.select(sel);
+	const violatingPairs = violatingPackagePairs(context.violations ?? []);
+	const violates = (fromId, toId) => violatingPairs.has(`${fromId}\u0000${toId}`);
 	const source = node;
 	const dependencies = pkgDepsOf(node);
 
@@ -41,7 +54,8 @@ export const displayArrows = (sel) => (node) => {
 				.attr('y2', targetCenter.cy)
 				.attr('stroke-width', '3pt')
 				.attr('stroke-opacity', 0.5)
-				.attr('stroke', 'blue');
+				.attr('stroke', 'blue')
+				.call(markViolation(violates(source_id, node.id())));
 			// .attr("stroke-dasharray", "21, 7")
 			// .attr("stroke-dashoffset", 0);
 
@@ -63,7 +77,8 @@ export const displayArrows = (sel) => (node) => {
 				.attr('y2', thisCenter.cy)
 				.attr('stroke-width', '3pt')
 				.attr('stroke-opacity', 0.5)
-				.attr('stroke', 'green');
+				.attr('stroke', 'green')
+				.call(markViolation(violates(node.id(), source_id)));
 			// .attr("stroke-dasharray", "21, 7")
 			// .attr("stroke-dashoffset", 0);
 
@@ -85,7 +100,8 @@ export const displayArrows = (sel) => (node) => {
 				.attr('y2', thisCenter.cy)
 				.attr('stroke-width', '3pt')
 				.attr('stroke-opacity', 0.6)
-				.attr('stroke', 'goldenrod');
+				.attr('stroke', 'goldenrod')
+				.call(markViolation(violates(node.id(), source_id) || violates(source_id, node.id())));
 
 			moveAfter(sourceG, line);
 		}
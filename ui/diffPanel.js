@@ -0,0 +1,102 @@
+import { createGraph } from '../graph/graph.js';
+import { importGraphData } from '../graph/importers.js';
+import { diffSnapshots, snapshotContext } from '../model/diff.js';
+import { validateGraphData } from '../model/validation.js';
+import { MAX_LIST_ITEMS } from './infoPanel.js';
+import { drawnElementOf } from './searchBox.js';
+
+// Diff entries are plain objects ({ id, qualifiedName, ... }), not nodes
+const entryNameOf = (entry) => entry.qualifiedName ?? entry.id;
+
+export const displayDiff = (context) => (sel) => (diff, baseName) => {
+
+	const element = d3.select(sel);
+	element.selectChildren().remove();
+	element.append('h2').text(`Changes since ${baseName}`);
+
+	const sections = [
+		{ key: "packageLayers", items: diff.layers.packages, text: e => `${entryNameOf(e)}: ${e.before} → ${e.after}` },
+		{ key: "classLayers", items: diff.layers.classes, text: e => `${entryNameOf(e)}: ${e.before} → ${e.after}` },
+		{ key: "methodLayers", items: diff.layers.methods, text: e => `${entryNameOf(e)}: ${e.before} → ${e.after}` },
+		{ key: "addedNodes", items: diff.nodes.added, text: entryNameOf, style: "background-color: hsl(120, 100%, 95%);" },
+		{ key: "removedNodes", items: diff.nodes.removed, text: entryNameOf, style: "background-color: hsl(0, 100%, 95%);" },
+		{ key: "modifiedNodes", items: diff.nodes.modified, text: e => `${entryNameOf(e)} (${[
+			...Object.keys(e.properties?.added ?? {}),
+			...Object.keys(e.properties?.removed ?? {}),
+			...Object.keys(e.properties?.changed ?? {}),
+			...(e.labels ? ["labels"] : [])
+		].join(", ") || "id"})` },
+		{ key: "addedEdges", items: diff.edges.added, text: e => `${e.source} -[${e.label}]-> ${e.target}`, style: "background-color: hsl(120, 100%, 95%);" },
+		{ key: "removedEdges", items: diff.edges.removed, text: e => `${e.source} -[${e.label}]-> ${e.target}`, style: "background-color: hsl(0, 100%, 95%);" },
+	];
+
+	const ul = element.append("ul");
+	sections.filter(s => s.items.length > 0).forEach(section => {
+		const li = ul.append("li").attr("class", "info");
+
+		li.append('h3')
+			.attr("class", "info")
+			.text(`${section.key} (${section.items.length})`);
+
+		const propContainer = li.append('div').attr("class", "info");
+		if (section.style) {
+			propContainer.attr("style", section.style);
+		}
+
+		const innerUl = propContainer.append("ul");
+		section.items.slice(0, MAX_LIST_ITEMS).forEach(entry => {
+			const item = innerUl.append("li")
+				.attr("class", "query-binding")
+				.attr("title", section.text(entry))
+				.text(section.text(entry));
+
+			// Entries that are drawn in the serving table can be selected from here
+			const node = entry.id !== undefined && context.graph.node(entry.id);
+			const rendered = node ? drawnElementOf(entry.id) : null;
+			if (rendered) {
+				item.classed("selectable", true)
+					.on("click", (event) => context.dispatcher.call("select", event, node, rendered));
+			}
+		});
+		if (section.items.length > MAX_LIST_ITEMS) {
+			innerUl.append("li").text(`… and ${section.items.length - MAX_LIST_ITEMS} more`);
+		}
+	});
+
+	if (ul.selectChildren().empty()) {
+		element.append('p').attr("class", "notice").text("No differences found.");
+	}
+}
+
+/**
+ * initSnapshotDiff:
+ *   - Enables the compare button: the user picks an earlier snapshot of the
+ *     same system, which is diffed against the graph in 'context'.
+ */
+export function initSnapshotDiff(context) {
+	const showDiff = displayDiff(context)("#info-panel");
+	const input = d3.select("#compare-selector");
+
+	d3.select("#compare-button")
+		.property("disabled", false)
+		.on("click.diff", () => input.node().click());
+
+	input.on("change.diff", (event) => {
+		const files = Array.from(event.target.files);
+		event.target.value = "";
+		if (files.length === 0) return;
+
+		Promise.all(files.map(file => file.text().then(text => ({ name: file.name, text }))))
+			.then(contents => {
+				const { data, errors } = validateGraphData(importGraphData(contents));
+				if (!data) {
+					throw new Error(`${errors[0].path} ${errors[0].message}`);
+				}
+				const before = snapshotContext(createGraph(data), context);
+				showDiff(diffSnapshots(before, context), files.map(f => f.name).join(" + "));
+			})
+			.catch(err => {
+				alert(`Could not compare: ${err.message ?? err}`);
+			});
+	});
+}
@@ -0,0 +1,321 @@
+import { DSM_RELATIONS, callsBetween, dsmOf, itemOfWithin } from '../model/dsm.js';
+import { layerModelOf } from '../model/layers.js';
+import { categorizeBubbleTeaData, generateLayerOrder, laneColors } from '../render/servingTable.js';
+import { nameOf } from '../model/nodes.js';
+import { renderedElementOf } from './searchBox.js';
+import { MAX_LIST_ITEMS } from './infoPanel.js';
+import { togglePanel } from '../utils/domUtils.js';
+
+const CELL = 14;
+const LABEL_WIDTH = 200;
+const HEADER_HEIGHT = 28;
+
+const shortNameOf = (node) => node.property("simpleName") ?? node.id();
+
+/**
+ * dsmLanesWithContext:
+ *   - The lanes of the serving table as drawn (context.bubbleTeaData), in the order of
+ *     generateLayerOrder, cross-cutting last: [{ key, position, items: [{ node, dimmed }] }],
+ *     with packages or, at the "class" level, their classes as items. Packages without
+ *     classes are left out, as in the serving table.
+ *   - 'position' is the lane's row position (parallel lanes share one), null for cross-cutting.
+ */
+export const dsmLanesWithContext = (context) => (level = "package") => {
+	const { layerOrder, positions } = generateLayerOrder(context.layerModel ?? layerModelOf(context.graph));
+	const layersMap = categorizeBubbleTeaData(context.bubbleTeaData ?? [], context, layerOrder);
+
+	return layerOrder
+		.map(layer => layer.join(", "))
+		.map(key => ({
+			key,
+			position: key ? positions[key] : null,
+			items: layersMap[key].filter(tea => tea.bubbleData.length > 0).flatMap(tea => level === "class"
+				? tea.bubbleData.map(data => ({ node: data.class, dimmed: Boolean(tea.dimmed || data.dimmed) }))
+				: [{ node: tea.package, dimmed: Boolean(tea.dimmed) }])
+		}))
+		.filter(lane => lane.items.length > 0);
+};
+
+// Selects the element drawn for a node in the serving table, if any
+const selectNode = (context, node, event) => {
+	const element = renderedElementOf(node);
+	if (element) {
+		context.dispatcher.call("select", event, d3.select(element).datum(), element);
+	}
+};
+
+/**
+ * hideDsmPanel:
+ *   - Removes the DSM panel, if shown, and the highlight of a pair's target.
+ */
+export function hideDsmPanel(context) {
+	d3.select("#dsm-panel").remove();
+	d3.selectAll("#serving-table [filter='url(#highlight)']")
+		.filter(function () { return this !== context?.lastSelection; })
+		.attr("filter", null);
+	context?.dispatcher.on("select.dsm", null).on("deselect.dsm", null);
+}
+
+/**
+ * showDsmPanel:
+ *   - Shows a dependency structure matrix of the packages (or classes) drawn in the
+ *     serving table, ordered by lane. A column shows what its item uses; cells that
+ *     depend on a higher lane, against the layer order, are red.
+ *   - Clicking a cell selects its pair (the caller is selected, and the callee highlighted
+ *     too, in the serving table) and lists the method calls behind it; clicking a row
+ *     label selects that item.
+ *     Selecting in the serving table marks the row and column of the selected item.
+ */
+export function showDsmPanel(context) {
+	hideDsmPanel(context);
+	const state = (context.dsmView ??= { level: "package", relation: "calls" });
+	let focus = null; // { item, pair: { source, target } | null }
+
+	const panel = d3.select("body")
+		.append("div")
+		.attr("id", "dsm-panel");
+
+	const title = panel.append("div").attr("class", "infotitle");
+	const pickers = title.append("span");
+	const pickLevel = pickers.append("select")
+		.on("change", (event) => {
+			state.level = event.target.value;
+			focus = null;
+			render();
+		});
+	pickLevel.selectAll("option")
+		.data([["package", "Packages"], ["class", "Classes"]])
+		.join("option")
+		.attr("value", ([value]) => value)
+		.property("selected", ([value]) => value === state.level)
+		.text(([, label]) => label);
+	const pickRelation = pickers.append("select")
+		.on("change", (event) => {
+			state.relation = event.target.value;
+			render();
+		});
+	pickRelation.selectAll("option")
+		.data(Object.entries(DSM_RELATIONS))
+		.join("option")
+		.attr("value", ([value]) => value)
+		.property("selected", ([value]) => value === state.relation)
+		.text(([, { label }]) => label);
+	title.append("button")
+		.attr("class", "close")
+		.attr("title", "Close")
+		.text("×")
+		.on("click", () => hideDsmPanel(context));
+
+	const scroll = panel.append("div").attr("class", "dsm-scroll");
+	const details = panel.append("div").attr("class", "dsm-details");
+
+	let matrix = null;
+	let itemOf = () => null;
+	let drawn = null; // { labels, crosshair, index, size } of the matrix shown
+	let selecting = false; // while the panel itself selects
+	let highlighted = null; // the element of the focused pair's target, in the serving table
+
+	// Highlights the pair's target next to the selected source, or clears that
+	const highlightTarget = () => {
+		if (highlighted && highlighted !== context.lastSelection) {
+			d3.select(highlighted).attr("filter", null);
+		}
+		highlighted = focus?.pair ? renderedElementOf(focus.pair.target) : null;
+		d3.select(highlighted).attr("filter", "url(#highlight)");
+	};
+
+	// Marks the row and column of the focused item, or of the focused pair
+	const mark = () => {
+		if (!drawn) return;
+		const { labels, crosshair, index, size } = drawn;
+		crosshair.selectChildren().remove();
+		const i = focus ? index.get(focus.pair?.source ?? focus.item) : undefined;
+		const j = focus?.pair ? index.get(focus.pair.target) : i;
+		labels.selectAll("text").classed("selected", (_, k) => k === i || k === j);
+		if (i === undefined) return;
+		crosshair.append("rect").attr("x", i * CELL).attr("y", 0).attr("width", CELL).attr("height", size);
+		crosshair.append("rect").attr("x", 0).attr("y", j * CELL).attr("width", size).attr("height", CELL);
+	};
+
+	const select = (node, event) => {
+		selecting = true;
+		selectNode(context, node, event);
+		selecting = false;
+		highlightTarget();
+		mark();
+		showDetails();
+	};
+
+	const showDetails = () => {
+		details.selectChildren().remove();
+		const pair = focus?.pair;
+		if (!pair) return;
+
+		const calls = callsBetween(context.graph, matrix.items, pair.source, pair.target);
+		const count = calls.reduce((acc, call) => acc + call.weight, 0);
+		details.append("h3")
+			.attr("class", "info")
+			.text(`${shortNameOf(pair.source)} → ${shortNameOf(pair.target)}: ${count} call${count === 1 ? "" : "s"}`);
+		if (calls.length === 0) {
+			details.append("p").attr("class", "notice").text("A declared dependency, without method calls behind it.");
+			return;
+		}
+		details.append("ul")
+			.selectAll("li")
+			.data(calls.slice(0, MAX_LIST_ITEMS))
+			.join("li")
+			.attr("class", "query-binding")
+			.text(({ caller, callee, weight }) => `${nameOf(caller)} → ${nameOf(callee)}${weight > 1 ? ` (×${weight})` : ""}`)
+			.on("click", (event, { caller }) => selectNode(context, caller, event));
+	};
+
+	const render = () => {
+		// dependsOn only links packages
+		if (state.level === "class") state.relation = "calls";
+		pickRelation.property("value", state.relation).property("disabled", state.level === "class");
+
+		const lanes = dsmLanesWithContext(context)(state.level);
+		const entries = lanes.flatMap(lane => lane.items.map(item => ({ ...item, lane: lane.key, position: lane.position })));
+		const items = entries.map(entry => entry.node);
+		const positions = new Map(entries.map(entry => [entry.node, entry.position]));
+		matrix = dsmOf(context.graph, items, { relation: state.relation, positionOf: item => positions.get(item) });
+		itemOf = itemOfWithin(items);
+		const index = new Map(items.map((item, i) => [item, i]));
+
+		scroll.selectChildren().remove();
+		drawn = null;
+		if (items.length === 0) {
+			scroll.append("p").attr("class", "notice").text("Nothing is drawn in the serving table.");
+			showDetails();
+			return;
+		}
+
+		const size = items.length * CELL;
+		const svg = scroll.append("svg")
+			.attr("width", LABEL_WIDTH + size + 1)
+			.attr("height", HEADER_HEIGHT + size + 1);
+
+		// Row labels, with the color of their lane
+		const labels = svg.append("g").attr("class", "dsm-labels");
+		let start = 0;
+		lanes.forEach(lane => {
+			const { fill, stroke } = laneColors(lane.key);
+			labels.append("rect")
+				.attr("x", 0)
+				.attr("y", HEADER_HEIGHT + start * CELL)
+				.attr("width", LABEL_WIDTH - 2)
+				.attr("height", lane.items.length * CELL)
+				.attr("fill", fill)
+				.attr("stroke", stroke)
+				.append("title")
+				.text(lane.key || "Cross-cutting");
+			start += lane.items.length;
+		});
+		labels.selectAll("text")
+			.data(entries)
+			.join("text")
+			.attr("class", "dsm-label")
+			.classed("dimmed", entry => entry.dimmed)
+			.attr("x", LABEL_WIDTH - 6)
+			.attr("y", (_, i) => HEADER_HEIGHT + i * CELL + CELL / 2)
+			.text((entry, i) => `${shortNameOf(entry.node)} ${i + 1}`)
+			.on("click", (event, entry) => {
+				focus = { item: entry.node, pair: null };
+				select(entry.node, event);
+			})
+			.append("title")
+			.text(entry => `${nameOf(entry.node)} (${entry.lane || "Cross-cutting"})`);
+
+		// Column numbers
+		svg.append("g")
+			.selectAll("text")
+			.data(items)
+			.join("text")
+			.attr("class", "dsm-column")
+			.attr("x", (_, i) => LABEL_WIDTH + i * CELL + CELL / 2)
+			.attr("y", HEADER_HEIGHT - 4)
+			.text((_, i) => i + 1)
+			.append("title")
+			.text(item => nameOf(item));
+
+		const grid = svg.append("g").attr("transform", `translate(${LABEL_WIDTH}, ${HEADER_HEIGHT})`);
+		grid.append("rect")
+			.attr("class", "dsm-background")
+			.attr("width", size)
+			.attr("height", size);
+		grid.selectAll("rect.dsm-diagonal")
+			.data(items)
+			.join("rect")
+			.attr("class", "dsm-diagonal")
+			.attr("x", (_, i) => i * CELL)
+			.attr("y", (_, i) => i * CELL)
+			.attr("width", CELL)
+			.attr("height", CELL);
+
+		// The row and column of the focused item, under the cells
+		const crosshair = grid.append("g").attr("class", "dsm-crosshair");
+
+		const shade = (weight) => 0.2 + 0.8 * Math.sqrt(weight / (matrix.max || 1));
+		grid.selectAll("rect.dsm-cell")
+			.data(matrix.cells)
+			.join("rect")
+			.attr("class", "dsm-cell")
+			.classed("against", cell => cell.against)
+			.attr("x", cell => cell.col * CELL)
+			.attr("y", cell => cell.row * CELL)
+			.attr("width", CELL)
+			.attr("height", CELL)
+			.attr("fill", cell => cell.against ? d3.interpolateReds(shade(cell.weight)) : d3.interpolateBlues(shade(cell.weight)))
+			.on("click", (event, cell) => {
+				focus = { item: cell.source, pair: { source: cell.source, target: cell.target } };
+				select(cell.source, event);
+			})
+			.append("title")
+			.text(cell => `${nameOf(cell.source)} → ${nameOf(cell.target)}: ${cell.weight}${cell.against ? " (against the layer order)" : ""}`);
+
+		// Lane blocks along the diagonal
+		start = 0;
+		lanes.forEach(lane => {
+			grid.append("rect")
+				.attr("class", "dsm-lane")
+				.attr("x", start * CELL)
+				.attr("y", start * CELL)
+				.attr("width", lane.items.length * CELL)
+				.attr("height", lane.items.length * CELL)
+				.attr("stroke", laneColors(lane.key).stroke);
+			start += lane.items.length;
+		});
+
+		drawn = { labels, crosshair, index, size };
+		mark();
+		showDetails();
+	};
+
+	// Follows the selection in the serving table (and the other views)
+	context.dispatcher
+		.on("select.dsm", (node) => {
+			if (selecting) return;
+			const item = node ? itemOf(node) : null;
+			focus = item ? { item, pair: null } : null;
+			highlightTarget();
+			mark();
+			showDetails();
+		})
+		.on("deselect.dsm", () => {
+			focus = null;
+			highlightTarget();
+			mark();
+			showDetails();
+		});
+
+	render();
+}
+
+/**
+ * initDsmPanel:
+ *   - Enables the titlebar DSM button for the loaded graph.
+ *   - A matrix left open is rebuilt, e.g. for another graph or after a redraw.
+ */
+export function initDsmPanel(context) {
+	togglePanel("dsm-button", "dsm-panel", () => showDsmPanel(context), () => hideDsmPanel(context));
+}
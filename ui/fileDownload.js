@@ -0,0 +1,30 @@
+import { downloadBlob } from '../utils/domUtils.js';
+
+/**
+ * initFileDownload:
+ *   - Enables the download button for the graph in 'context'.
+ *   - The user chooses whether derived edges ('calls') and render-time
+ *     properties ('package', 'layer') go into the exported document.
+ */
+export function initFileDownload(context) {
+	d3.select("#download-button")
+		.property("disabled", false)
+		.on("click.download", () => {
+			const includeDerived = confirm(
+				"Include derived data (lifted 'calls' edges, computed 'package' and 'layer' properties)?\n\n" +
+				"Cancel exports the graph as it was loaded."
+			);
+			downloadGraph(context, includeDerived);
+		});
+}
+
+/**
+ * downloadGraph:
+ *   - Serializes context.graph with graph.toJSON() and saves it next to the original file name.
+ */
+export function downloadGraph(context, includeDerived = false) {
+	const json = JSON.stringify(context.graph.toJSON({ includeDerived }));
+	const baseName = (context.fileName ?? "graph").replace(/\.json$/i, "");
+	const suffix = includeDerived ? "-derived" : "";
+	downloadBlob(new Blob([json], { type: "application/json" }), `${baseName}${suffix}.json`);
+}
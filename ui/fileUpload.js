@@ -1,11 +1,41 @@
-import { createGraph, lift } from '../graph/graph.js';
+import { createGraph } from '../graph/graph.js';
+import { createChangeLog } from '../graph/changeLog.js';
+import { importGraphData, supportedExtensions } from '../graph/importers.js';
 import { clearInfo, displayInfo } from './infoPanel.js';
+import { displayLayerOverride } from './layerOverride.js';
 import { clearArrows, displayArrows } from './arrows.js';
 import { getBubbleTeaDataWithContext } from '../model/bubbleTeaData.js';
+import { layerModelOf, layersOf } from '../model/layers.js';
+import { DEFAULT_DOMINANCE_STRATEGY } from '../model/dominance.js';
+import { DEFAULT_WEIGHTING } from '../model/weighting.js';
+import { findViolationsWithContext } from '../model/violations.js';
+import { toggleCollapsedWithContext, visiblePackagesWithContext } from '../model/hierarchy.js';
+import { deriveDependencyProfiles } from '../model/profiles.js';
+import { DEFAULT_COLORING } from '../render/coloring.js';
+import { drawLegend } from './legend.js';
+import { DEFAULT_FILTERS, applyFiltersWithContext } from '../model/filters.js';
+import { drawFilterChips, initFilterPanel } from './filterPanel.js';
+import { initExportPanel } from './viewExport.js';
+import { initDsmPanel } from './dsmPanel.js';
+import { initPackageGraph } from './packageGraphPanel.js';
+import { deriveEdges } from '../model/lifting.js';
+import { validateGraphData } from '../model/validation.js';
+import { showValidationReport } from './validationPanel.js';
 import { drawServingTableWithContext } from '../render/servingTable.js';
 import { hideTooltip, showTooltip, updateTooltipPosition } from './tooltip.js';
+import { initQueryBox } from './queryPanel.js';
+import { drawnElementOf, initSearchBox } from './searchBox.js';
+import { initFileDownload } from './fileDownload.js';
+import { initSnapshotDiff } from './diffPanel.js';
+import { initUndoRedo } from './history.js';
+import { initSettingsPanel } from './settingsPanel.js';
+import { initViolationsPanel } from './violationsPanel.js';
+import { initMetricsTable } from './metricsPanel.js';
 import { hueMap } from '../utils/utils.js';
 
+// Only one chart is shown at a time, so only its container is observed
+let resizeObserver = null;
+
 /**
  * initFileUpload:
  *   - Hooks up the file input and upload button.
@@ -23,6 +53,7 @@ export function initFileUpload() {
 
 	// 2) Normal file-upload logic
 	const fileInput = document.getElementById('file-selector');
+	fileInput.accept = supportedExtensions().join(",");
 	fileInput.addEventListener('change', handleFileUpload);
 
 	const uploadButton = document.getElementById('upload-button');
@@ -45,7 +76,7 @@ function handleUrlParamFile(filename) {
 			return resp.text();
 		})
 		.then(rawText => {
-			const jsonData = parseJSONData(rawText, filenameWithParam);
+			const jsonData = parseGraphFiles([{ name: filenameWithParam, text: rawText }]);
 			if (!jsonData) return;
 			handleParsedData(jsonData, filenameWithParam);
 		})
@@ -69,95 +100,132 @@ function handleParsedData(jsonData, fileName) {
 
 	// 1) Build the context & augment edges
 	const context = buildContext(jsonData);
+	context.fileName = fileName;
 
 	// 2) Render the serving table
 	const servingTable = renderServingTable(context, chartContainer);
 	if (!servingTable) return;
 
 	// 3) Zoom & resize
-	const g = setupZoomAndResize(servingTable, chartContainer);
+	const g = setupZoomAndResize(context, servingTable, chartContainer);
 
 	// 4) Selection interactions
 	setupSelectionInteractions(g, context);
 
 	// 5) Tooltips
 	setupTooltips(context);
+
+	// 6) "Download current graph" button
+	initFileDownload(context);
+
+	// 7) "Compare with an earlier snapshot" button
+	initSnapshotDiff(context);
+
+	// 8) Pattern queries, from the titlebar or from the console as graph.query(...),
+	//    and a fuzzy search that zooms to what it finds
+	initQueryBox(context);
+	initSearchBox(context);
+	window.graph = context.graph;
+
+	// 9) Edits to the graph (and their undo/redo) update the views in place
+	initLiveUpdates(context, chartContainer);
+	initUndoRedo(context);
+
+	// 10) Settings that change the layout, e.g. how dominant layers are decided
+	initSettingsPanel(context);
+
+	// 11) Calls that break the layer rules
+	initViolationsPanel(context);
+
+	// 12) Coupling metrics per package and class
+	initMetricsTable(context);
+
+	// 13) Rules that dim or remove packages and classes
+	initFilterPanel(context);
+
+	// 14) Export of the serving table as SVG, PNG or PDF
+	initExportPanel(context);
+
+	// 15) Dependency structure matrix of what is drawn
+	initDsmPanel(context);
+
+	// 16) Force-directed graph of the packages drawn, sharing the selection
+	initPackageGraph(context);
 }
 
 function handleFileUpload(event) {
-	const file = event.target.files[0];
-	if (!file) return;
+	const files = Array.from(event.target.files);
+	if (files.length === 0) return;
 
-	const reader = new FileReader();
-	reader.onload = (e) => {
-		const rawText = e.target.result;
-		const jsonData = parseJSONData(rawText, file.name);
-		if (!jsonData) return;
+	// Several files are read together, e.g. a nodes.csv + edges.csv pair
+	Promise.all(files.map(file => file.text().then(text => ({ name: file.name, text }))))
+		.then(contents => {
+			const jsonData = parseGraphFiles(contents);
+			if (!jsonData) return;
 
-		handleParsedData(jsonData, file.name);
-	};
+			handleParsedData(jsonData, files.map(f => f.name).join(" + "));
+		})
+		.catch(err => {
+			alert(`Could not load file: ${err}`);
+		});
 
-	reader.readAsText(file);
+	// Allow picking the same file(s) again
+	event.target.value = "";
 }
 
 
 /* ------------------------------ HELPER FUNCTIONS ------------------------------ */
 
 /**
- * parseJSONData:
- *   - Parse a raw string, validate it has .elements.nodes,
- *     or return null if invalid.
+ * parseGraphFiles:
+ *   - Converts raw file contents into graph data with the importer matching
+ *     their extension or content (JSON, GraphML, GEXF, DOT, CSV), then validates it.
+ *   - Validation findings are listed in a dismissible panel; the repaired data is
+ *     returned so a partial graph can still be shown.
+ *   - Returns null (after telling the user why) if nothing can be rendered.
  */
-function parseJSONData(rawText, fileName) {
+function parseGraphFiles(files) {
 	let jsonData;
 	try {
-		jsonData = JSON.parse(rawText);
+		jsonData = importGraphData(files);
 	} catch (err) {
-		alert("Could not parse JSON file.");
-		return null;
-	}
-
-	if (!jsonData || !jsonData.elements || !Array.isArray(jsonData.elements.nodes)) {
-		alert("The JSON does not contain the expected structure.");
+		alert(err.message);
 		return null;
 	}
 
-	return jsonData;
+	const report = validateGraphData(jsonData);
+	showValidationReport(report, files.map(f => f.name).join(" + "));
+	return report.data;
 }
 
 /**
  * buildContext:
- *   - Takes the parsed JSON, merges 'invokes' + 'hasScript' => 'calls', creates the graph,
+ *   - Takes the parsed JSON, creates the graph, derives 'calls' from 'invokes' + 'hasScript',
  *     sets up layers, roleStereotypeHues, etc., and returns the complete "context".
  */
 function buildContext(jsonData) {
-	// Merge edges: 'invokes' + 'hasScript' => 'calls'
-	const invokes = jsonData.elements.edges.filter(e => e.data.label === "invokes");
-	const hasScript = jsonData.elements.edges.filter(e => e.data.label === "hasScript");
-	const calls = lift(hasScript, invokes, "calls").filter(e => e.data.source !== e.data.target);
-
-	jsonData.elements.edges = [...jsonData.elements.edges, ...calls];
-
 	const graph = createGraph(jsonData);
-	var layers;
-	const allowedDependencies = graph.edges("allowedDependency");
-	if (allowedDependencies && allowedDependencies.length) {
-		layers = bfsSort(graph.edges("allowedDependency")).map(l => l.property("simpleName"));
-		layers.forEach((l,i) => {
-			hueMap[l] = i * Math.floor(360/layers.length);
-		});
-	} else {
-		layers = ['Presentation Layer', 'Service Layer', 'Domain Layer', 'Data Source Layer'];
-	}
-	layers = [null, ...layers];
+	deriveEdges(graph);
+	deriveDependencyProfiles(graph);
 
 	// Create context
 	const context = {
-		layers,
+		layers: deriveLayers(graph),
+		// Ranks and allowed dependencies of the layers (see model/layers.js)
+		layerModel: layerModelOf(graph),
 		graph,
-		dispatcher: d3.dispatch("select","deselect","mouseover","mousemove","mouseout"),
+		changeLog: createChangeLog(graph),
+		dispatcher: d3.dispatch("select","deselect","mouseover","mousemove","mouseout","relayout"),
 		lastSelection: null,
 
+		// IDs of the packages drawn as one tea with all their subpackages (see model/hierarchy.js)
+		collapsed: new Set(),
+
+		// How the dominant layer(s) of a package are decided (see model/dominance.js)
+		dominance: { strategy: DEFAULT_DOMINANCE_STRATEGY, params: {} },
+		// What methods and classes weigh in the layer compositions (see model/weighting.js)
+		weighting: { ...DEFAULT_WEIGHTING },
+
 		roleStereotypeHues: {
 			"Controller": 294,
 			"Coordinator": 115,
@@ -174,7 +242,18 @@ function buildContext(jsonData) {
 			outbound: 240,
 			transit: 60,
 			hidden: 0
-		}
+		},
+
+		// What the rim and the whole of each class bubble show (see render/coloring.js),
+		// and the one role stereotype left undimmed (null for all)
+		coloring: { ...DEFAULT_COLORING },
+		stereotypeFilter: null,
+
+		// Name of the change-set of layer overrides (see ui/layerOverride.js); null names it after the file
+		changeSetName: null,
+
+		// Include/exclude rules, and whether filtered items are dimmed or removed (see model/filters.js)
+		filters: { ...DEFAULT_FILTERS, rules: [] }
 	};
 
 	setupDispatchers(context);
@@ -182,57 +261,97 @@ function buildContext(jsonData) {
 	return context;
 }
 
-function bfsSort(edgeList) {
-	// Step 1: Identify all sources and targets
-	const sources = new Set();
-	const targets = new Set();
+/**
+ * deriveLayers:
+ *   - Returns the layer list for the context (led by null for "no layer"),
+ *     assigning a hue to each layer declared through 'allowedDependency'.
+ */
+function deriveLayers(graph) {
+	const layers = layersOf(graph);
+	if (graph.edges("allowedDependency").length) {
+		layers.forEach((l,i) => {
+			hueMap[l] = i * Math.floor(360/layers.length);
+		});
+	}
+	return [null, ...layers];
+}
 
-	edgeList.forEach((edge) => {
-		sources.add(edge.source());
-		targets.add(edge.target());
-	});
+/**
+ * initLiveUpdates:
+ *   - Subscribes to the graph's change events. After an edit, the derived edges, the
+ *     dependency profiles of classes and the layers are recomputed, and the serving table
+ *     is redrawn with the same zoom and selection.
+ *   - Changes that are themselves derived (e.g. made while rendering) are ignored.
+ *   - A "relayout" call on the dispatcher (e.g. from the settings panel) redraws as well.
+ */
+function initLiveUpdates(context, chartContainer) {
+	let scheduled = false;
+
+	// Several edits in a row are redrawn once
+	const scheduleRefresh = () => {
+		if (scheduled) return;
+		scheduled = true;
+		requestAnimationFrame(() => {
+			scheduled = false;
+			refreshView(context, chartContainer);
+		});
+	};
 
-	// Step 2: Find the root (a source that is not a target)
-	let root = null;
-	for (let src of sources) {
-		if (!Array.from(targets).some(tgt => tgt.id() === src.id())) {
-			root = src;
-			break;
+	context.graph.on("change.view", ({ events }) => {
+		if (!events.every(e => e.derived)) {
+			scheduleRefresh();
 		}
-	}
+	});
+	context.dispatcher.on("relayout.view", scheduleRefresh);
+}
 
-	if (root === null) {
-		throw new Error("No root found. Ensure there is a node that never appears as a target.");
-	}
+/**
+ * refreshView:
+ *   - Redraws the serving table for the current graph, keeping the zoom transform, and
+ *     rebuilds the open panels that show the graph (violations, metrics, DSM, package graph).
+ *   - Then selects the previously selected node again (or clears the info panel if it is gone).
+ */
+function refreshView(context, chartContainer) {
+	deriveEdges(context.graph);
+	deriveDependencyProfiles(context.graph);
+	context.layers = deriveLayers(context.graph);
+	context.layerModel = layerModelOf(context.graph);
 
-	// Step 3: Initialize BFS structures
-	const queue = [root];
-	const visited = new Set([root]);
-	const result = [];
-
-	// Step 4: Perform BFS
-	while (queue.length > 0) {
-		const current = queue.shift();
-		result.push(current);
-
-		// Find all neighbors by iterating through the edge list
-		edgeList.forEach((edge) => {
-			if (edge.source().id() === current.id() && !Array.from(visited).some(v => v.id() === edge.target().id())) {
-				queue.push(edge.target());
-				visited.add(edge.target());
-			}
-		});
+	const selectedId = context.lastSelection?.getAttribute("id");
+	const oldSvg = chartContainer.querySelector("svg");
+	const transform = oldSvg ? d3.zoomTransform(oldSvg) : null;
+
+	chartContainer.innerHTML = "";
+	context.lastSelection = null;
+	const servingTable = renderServingTable(context, chartContainer);
+	if (!servingTable) {
+		clearInfo("#info-panel")();
+		return;
 	}
 
-	return result;
+	const g = setupZoomAndResize(context, servingTable, chartContainer, transform);
+	setupSelectionInteractions(g, context);
+	setupTooltips(context);
+	initViolationsPanel(context);
+	initMetricsTable(context);
+	initDsmPanel(context);
+	initPackageGraph(context);
+
+	const reselected = selectedId ? drawnElementOf(selectedId) : null;
+	if (reselected) {
+		context.dispatcher.call("select", null, d3.select(reselected).datum(), reselected);
+	} else {
+		context.dispatcher.call("deselect", null, null, null);
+	}
 }
 
 function setupDispatchers(context) {
 
 	context.dispatcher.on("select.infoPanel", displayInfo(context)("#info-panel"));
+	context.dispatcher.on("select.layerOverride", displayLayerOverride(context)("#info-panel"));
 	context.dispatcher.on("deselect.infoPanel", clearInfo("#info-panel"));
 
-	context.dispatcher.on("select.arrows", displayArrows("svg"));
+	context.dispatcher.on("select.arrows", displayArrows(context)("svg"));
 	context.dispatcher.on("deselect.arrows", clearArrows("svg"));
 
 	context.dispatcher.on("select.viz", highlightSelection);
@@ -256,28 +375,36 @@ function setupDispatchers(context) {
 
 /**
  * renderServingTable:
- *   - Finds all package nodes in the graph, builds bubbleTeaData, 
- *     draws the serving table, and inserts it in 'chartContainer'.
+ *   - Finds the package nodes to draw (all of them, minus those inside a collapsed
+ *     package), builds bubbleTeaData, applies context.filters, draws the serving table,
+ *     and inserts it in 'chartContainer'.
+ *   - Also updates context.bubbleTeaData, what is drawn (e.g. for the DSM), and
+ *     context.violations, the calls against the layer rules.
  *   - Returns the D3 selection of the <svg> or null if there's nothing to draw.
  */
 function renderServingTable(context, chartContainer) {
-	const packages = context.graph.nodes(
-		node => node.hasLabel("Container") && !node.hasLabel("Structure")
-	);
+	const packages = visiblePackagesWithContext(context)();
 	if (!packages || packages.length === 0) return null;
 
 	const getBubbleTeaData = getBubbleTeaDataWithContext(context);
 	const drawServingTable = drawServingTableWithContext(context);
 
-	const servingTable = drawServingTable(packages.map(getBubbleTeaData));
+	const applyFilters = applyFiltersWithContext(context);
+	context.bubbleTeaData = applyFilters(packages.map(getBubbleTeaData));
+	const servingTable = drawServingTable(context.bubbleTeaData);
 	if (!servingTable) return null;
 
+	// Class layers (and so the violations) follow the dominance just drawn
+	context.violations = findViolationsWithContext(context)();
+
 	// Append to the DOM
 	const divWidth = chartContainer.clientWidth;
 	const divHeight = chartContainer.clientHeight * 0.997;
 	servingTable.attr("width", divWidth).attr("height", divHeight);
 
 	chartContainer.appendChild(servingTable.node());
+	drawLegend(context)(chartContainer);
+	drawFilterChips(context)(chartContainer);
 	return servingTable;
 }
 
@@ -285,9 +412,12 @@ function renderServingTable(context, chartContainer) {
  * setupZoomAndResize:
  *   - Attaches a D3 zoom handler to the <svg>, focusing on the inner <g> with id="serving-table".
  *   - Also observes container resizing to adjust.
+ *   - 'transform', if given, is applied instead of the initial zoom (e.g. when redrawing);
+ *     the reset-zoom button always returns to the initial zoom.
+ *   - The zoom behavior is kept in context.zoom, e.g. for zooming to a search result.
  *   - Returns the <g> selection.
  */
-function setupZoomAndResize(servingTable, chartContainer) {
+function setupZoomAndResize(context, servingTable, chartContainer, transform = null) {
 	const g = servingTable.select("g");
 	const svgWidth = g.attr("width");
 	const divWidth = chartContainer.clientWidth;
@@ -298,10 +428,11 @@ function setupZoomAndResize(servingTable, chartContainer) {
 		g.attr('transform', transform);
 	});
 	servingTable.call(zoom);
+	context.zoom = zoom;
 
 	// Set initial transform
 	const initialTransform = d3.zoomIdentity.translate(divWidth * 0.2, 12).scale(scale);
-	servingTable.call(zoom.transform, initialTransform);
+	servingTable.call(zoom.transform, transform ?? initialTransform);
 
 	// Add reset-zoom button
 	const resetZoom = document.createElement("button");
@@ -313,7 +444,8 @@ function setupZoomAndResize(servingTable, chartContainer) {
 	chartContainer.appendChild(resetZoom);
 
 	// Observe resizing
-	const resizeObserver = new ResizeObserver(entries => {
+	resizeObserver?.disconnect();
+	resizeObserver = new ResizeObserver(entries => {
 		for (let entry of entries) {
 			if (entry.target === chartContainer) {
 				servingTable
@@ -334,6 +466,7 @@ function setupZoomAndResize(servingTable, chartContainer) {
 /**
  * setupSelectionInteractions:
  *   - Clears selection on background click, and handles bubble/tea selection clicks.
+ *   - Double-clicking a tea folds its parent package into one tea, or unfolds a folded one.
  *   - Clears highlight filters, removes dep-line, updates the info panel, etc.
  */
 function setupSelectionInteractions(g, context) {
@@ -348,6 +481,26 @@ function setupSelectionInteractions(g, context) {
 			event.stopPropagation();
 			context.dispatcher.call("select", event, d, this);
 		});
+
+	d3.selectAll(".tea")
+		.on("dblclick", function (event, d) {
+			// Not a zoom-in for the svg's zoom handler
+			event.stopPropagation();
+			if (toggleCollapsedWithContext(context)(d)) {
+				context.dispatcher.call("relayout");
+			}
+		});
+
+	// The title of a group of teas folds its package
+	d3.selectAll(".tea-group")
+		.on("dblclick", (event) => event.stopPropagation())
+		.select(".tea-group-title")
+		.on("click", function (event, d) {
+			event.stopPropagation();
+			if (toggleCollapsedWithContext(context)(d)) {
+				context.dispatcher.call("relayout");
+			}
+		});
 }
 
 /**
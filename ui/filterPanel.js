@@ -0,0 +1,186 @@
+import { DEFAULT_FILTERS, FILTER_FIELDS, FILTER_MODES, describeRule, patternMatcher } from '../model/filters.js';
+import { togglePanel } from '../utils/domUtils.js';
+
+// The values a choice field can be filtered on
+const choicesOf = (context, field) => {
+	const layers = context.layers.slice(1);
+	switch (field) {
+		case "dominantLayer": return [...layers, "Cross-cutting"];
+		case "methodLayer": return [...layers, "Undefined"];
+		case "roleStereotype": return [...new Set(context.graph
+			.nodes(node => node.hasLabel("Structure"))
+			.map(clasz => clasz.property("roleStereotype"))
+			.filter(value => typeof value === "string"))].sort();
+		default: return [];
+	}
+};
+
+const filtersOf = (context) => (context.filters ??= { ...DEFAULT_FILTERS, rules: [] });
+
+const updateFilters = (context, changes) => {
+	context.filters = { ...filtersOf(context), ...changes };
+	context.dispatcher.call("relayout");
+};
+
+/**
+ * drawFilterChips:
+ *   - Shows the active filter rules as chips in the top corner of 'container';
+ *     the × on a chip removes its rule.
+ */
+export const drawFilterChips = (context) => (container) => {
+	d3.select(container).select("#filter-chips").remove();
+
+	const { rules } = filtersOf(context);
+	if (rules.length === 0) return;
+
+	const chips = d3.select(container)
+		.append("div")
+		.attr("id", "filter-chips")
+		.selectAll("span.chip")
+		.data(rules)
+		.join("span")
+		.attr("class", rule => `chip ${rule.mode}`);
+	chips.append("span").text(describeRule);
+	chips.append("button")
+		.attr("class", "close")
+		.attr("title", "Remove this filter")
+		.text("×")
+		.on("click", (event, rule) => {
+			updateFilters(context, { rules: filtersOf(context).rules.filter(r => r !== rule) });
+		});
+};
+
+/**
+ * hideFilterPanel:
+ *   - Removes the filter panel, if shown.
+ */
+export function hideFilterPanel() {
+	d3.select("#filter-panel").remove();
+}
+
+/**
+ * showFilterPanel:
+ *   - Shows a panel to add include/exclude rules (see model/filters.js) and to choose
+ *     whether filtered packages and classes are dimmed or removed.
+ */
+export function showFilterPanel(context) {
+	hideFilterPanel();
+
+	const panel = d3.select("body")
+		.append("div")
+		.attr("id", "filter-panel");
+
+	const title = panel.append("div").attr("class", "infotitle");
+	title.append("span").text("Filters");
+	title.append("button")
+		.attr("class", "close")
+		.attr("title", "Close")
+		.text("×")
+		.on("click", hideFilterPanel);
+
+	const section = panel.append("section");
+	const inputs = section.append("div").attr("class", "settings-params");
+
+	const modeRow = inputs.append("label");
+	modeRow.append("span").text("Filtered items");
+	modeRow.append("select")
+		.attr("id", "filter-mode")
+		.on("change", (event) => updateFilters(context, { mode: event.target.value }))
+		.selectAll("option")
+		.data(Object.entries(FILTER_MODES))
+		.join("option")
+		.attr("value", ([id]) => id)
+		.property("selected", ([id]) => id === filtersOf(context).mode)
+		.text(([, label]) => label);
+
+	section.append("h3").attr("class", "info").text("Add a rule");
+	const rule = section.append("div").attr("class", "settings-params filter-rule");
+
+	const ruleMode = rule.append("select").attr("id", "filter-rule-mode");
+	ruleMode.selectAll("option")
+		.data(["exclude", "include"])
+		.join("option")
+		.attr("value", mode => mode)
+		.text(mode => mode);
+
+	const field = rule.append("select").attr("id", "filter-rule-field");
+	field.selectAll("option")
+		.data(Object.entries(FILTER_FIELDS))
+		.join("option")
+		.attr("value", ([id]) => id)
+		.text(([, { label }]) => label);
+
+	const criterion = rule.append("div").attr("class", "filter-criterion");
+	const renderCriterion = () => {
+		criterion.selectChildren().remove();
+		const id = field.property("value");
+		switch (FILTER_FIELDS[id].kind) {
+			case "choice":
+				criterion.append("select")
+					.attr("name", "value")
+					.selectAll("option")
+					.data(choicesOf(context, id))
+					.join("option")
+					.attr("value", value => value)
+					.text(value => value);
+				break;
+			case "pattern":
+				criterion.append("input")
+					.attr("type", "text")
+					.attr("name", "pattern")
+					.attr("placeholder", "*.test.* or /regex/");
+				break;
+			case "range":
+				criterion.append("input").attr("type", "number").attr("name", "min").attr("min", 0).attr("placeholder", "min");
+				criterion.append("input").attr("type", "number").attr("name", "max").attr("min", 0).attr("placeholder", "max");
+				break;
+		}
+	};
+	field.on("change", renderCriterion);
+	renderCriterion();
+
+	rule.append("button")
+		.attr("class", "sidebar")
+		.text("Add")
+		.on("click", () => {
+			const value = (name) => criterion.select(`[name='${name}']`).property("value");
+			const number = (name) => value(name) === "" ? null : Number(value(name));
+			const newRule = { field: field.property("value"), mode: ruleMode.property("value") };
+
+			switch (FILTER_FIELDS[newRule.field].kind) {
+				case "choice":
+					newRule.value = value("value");
+					if (!newRule.value) return;
+					break;
+				case "pattern":
+					newRule.pattern = value("pattern").trim();
+					if (!newRule.pattern) return;
+					try {
+						patternMatcher(newRule.pattern);
+					} catch (err) {
+						alert(`Invalid pattern "${newRule.pattern}": ${err.message}`);
+						return;
+					}
+					break;
+				case "range":
+					newRule.min = number("min");
+					newRule.max = number("max");
+					if (newRule.min === null && newRule.max === null) return;
+					break;
+			}
+			updateFilters(context, { rules: [...filtersOf(context).rules, newRule] });
+		});
+
+	section.append("p")
+		.attr("class", "notice")
+		.text("Active rules show as chips above the serving table; click × on a chip to remove it.");
+}
+
+/**
+ * initFilterPanel:
+ *   - Enables the titlebar filter button for the loaded graph.
+ *   - A panel left open for the previous graph is rebuilt for this one.
+ */
+export function initFilterPanel(context) {
+	togglePanel("filter-button", "filter-panel", () => showFilterPanel(context), () => hideFilterPanel());
+}
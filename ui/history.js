@@ -0,0 +1,27 @@
+/**
+ * initUndoRedo:
+ *   - Binds Ctrl+Z (undo) and Ctrl+Shift+Z / Ctrl+Y (redo) to the change log in 'context'
+ *     (Cmd instead of Ctrl on macOS).
+ *   - Typing in a text field keeps the browser's own undo.
+ *   - The views follow through the graph's change events, so nothing is redrawn here.
+ */
+export function initUndoRedo(context) {
+	d3.select(document)
+		.on("keydown.history", (event) => {
+			if (!(event.ctrlKey || event.metaKey) || event.altKey) return;
+			if (event.target.closest?.("input, textarea, [contenteditable]")) return;
+
+			const key = event.key.toLowerCase();
+			const undo = key === "z" && !event.shiftKey;
+			const redo = (key === "z" && event.shiftKey) || key === "y";
+			if (!undo && !redo) return;
+
+			event.preventDefault();
+			// An empty log returns null: nothing to step through
+			if (undo) {
+				context.changeLog.undo();
+			} else {
+				context.changeLog.redo();
+			}
+		});
+}
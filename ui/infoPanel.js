@@ -1,6 +1,17 @@
 import { methodsOf } from '../model/nodes.js';
+import { classMetrics, packageMetrics } from '../model/metrics.js';
 import { stringToHue } from '../utils/utils.js';
 
+// Caps the lists shown in the info panel and the other panels, so a large graph does not flood them
+export const MAX_LIST_ITEMS = 200;
+
+const formatRatio = (value) => value === null ? "–" : value.toFixed(2);
+
+// Derived 'dependsOn' edges (lifted from method calls) have no LLM description, only a weight
+const dependencyDescription = (edge) => edge.isDerived()
+	? `<i>Derived from ${edge.property("weight")} method call(s).</i>`
+	: edge.property("description");
+
 const prepareRenderData = (context) => (nodeInfo) => {
 	const renderData = {
 		title: `${nodeInfo.property("kind")}: ${nodeInfo.property("simpleName").replace(/([A-Z])/g, '\u200B$1')}`,
@@ -47,6 +58,27 @@ const prepareRenderData = (context) => (nodeInfo) => {
 		}
 	}
 
+	// Coupling over the 'calls' edges (see model/metrics.js)
+	if (nodeInfo.hasLabel("Structure")) {
+		const { fanIn, fanOut } = classMetrics(nodeInfo);
+		renderData.properties.push({
+			key: "metrics",
+			value: [`fan-in: ${fanIn}`, `fan-out: ${fanOut}`]
+		});
+	} else if (nodeInfo.hasLabel("Container")) {
+		const { ca, ce, instability, abstractness, distance } = packageMetrics(nodeInfo);
+		renderData.properties.push({
+			key: "metrics",
+			value: [
+				`afferent coupling (Ca): ${ca}`,
+				`efferent coupling (Ce): ${ce}`,
+				`instability (I): ${formatRatio(instability)}`,
+				`abstractness (A): ${formatRatio(abstractness)}`,
+				`distance from the main sequence (D): ${formatRatio(distance)}`
+			]
+		});
+	}
+
 	if (nodeInfo.hasLabel("Structure")) {
 		const methods = [...methodsOf(nodeInfo)];
 		methods.sort((a, b) => a.property("simpleName").localeCompare(b.property("simpleName")));
@@ -95,7 +127,7 @@ const prepareRenderData = (context) => (nodeInfo) => {
 
 					d.append('div')
 						.attr("class", "info")
-						.html(e.property("description"));
+						.html(dependencyDescription(e));
 
 					return d.node().outerHTML;
 				}),
@@ -115,9 +147,9 @@ const prepareRenderData = (context) => (nodeInfo) => {
 						.attr("class", "info");
 
 					innerd.append("p")
-						.html(e1.property("description"));
+						.html(dependencyDescription(e1));
 					innerd.append("p")
-						.html(e2.property("description"));
+						.html(dependencyDescription(e2));
 
 					return d.node().outerHTML;
 				}),
@@ -135,7 +167,7 @@ const prepareRenderData = (context) => (nodeInfo) => {
 
 					d.append('div')
 						.attr("class", "info")
-						.html(e.property("description"));
+						.html(dependencyDescription(e));
 
 
 					return d.node().outerHTML;
@@ -0,0 +1,111 @@
+import {
+	OVERRIDE_PROPERTY,
+	applyChangeSetWithContext,
+	changeSetOf,
+	overrideLayerWithContext
+} from '../model/overrides.js';
+import { nodeKindOf } from '../model/lifting.js';
+import { layerOf, methodsOf } from '../model/nodes.js';
+import { downloadBlob } from '../utils/domUtils.js';
+
+/**
+ * changeSetNameOf:
+ *   - The name of the change-set being built: context.changeSetName, or one after the loaded file.
+ */
+export const changeSetNameOf = (context) => context.changeSetName
+	?? `${(context.fileName ?? "graph").replace(/\.[^.]+$/, "")}-what-if`;
+
+// A row with a label and a layer picker; 'current' is shown first when it is not one of the layers
+const layerRow = (context) => (container, label, current, overridden, onChange) => {
+	const row = container.append("label");
+	row.append("span")
+		.classed("overridden", overridden)
+		.attr("title", overridden ? "Overridden" : null)
+		.text(label);
+
+	const layers = context.layers.slice(1);
+	const options = layers.includes(current) ? layers : [current, ...layers];
+	row.append("select")
+		.on("change", (event) => onChange(event.target.value))
+		.selectAll("option")
+		.data(options)
+		.join("option")
+		.attr("value", layer => layer)
+		.property("disabled", layer => !layers.includes(layer))
+		.property("selected", layer => layer === current)
+		.text(layer => layer);
+};
+
+/**
+ * displayLayerOverride:
+ *   - Adds a "whatIfLayer" entry to the top of the info panel for a class or package:
+ *     a layer picker for the whole node and, for a class, one per method.
+ *   - Picking a layer overrides it (see model/overrides.js); the view is then redrawn.
+ */
+export const displayLayerOverride = (context) => (sel) => (node) => {
+	const scope = nodeKindOf(node);
+	if (scope !== "class" && scope !== "package") return;
+
+	const override = overrideLayerWithContext(context);
+	const row = layerRow(context);
+
+	const li = d3.select(sel).select("ul")
+		.insert("li", ":first-child")
+		.attr("class", "info");
+	li.append("h3")
+		.attr("class", "info")
+		.text("whatIfLayer");
+	const container = li.append("div").attr("class", "info settings-params layer-override");
+
+	// A package override covers its own classes only, folded or not (see model/overrides.js)
+	row(container, scope === "package" ? "Own classes" : "Whole class", node.property(OVERRIDE_PROPERTY) ?? node.property("layer") ?? "Undefined",
+		node.hasProperty(OVERRIDE_PROPERTY), layer => override(node, layer));
+
+	if (scope === "class") {
+		const methods = [...methodsOf(node)];
+		methods.sort((a, b) => a.property("simpleName").localeCompare(b.property("simpleName")));
+		methods.forEach(method => {
+			row(container, method.property("simpleName"), layerOf(method),
+				method.hasProperty(OVERRIDE_PROPERTY), layer => override(method, layer));
+		});
+	}
+
+	const count = changeSetOf(context.graph).overrides.length;
+	container.append("p")
+		.attr("class", "notice")
+		.text(`${count} override${count === 1 ? "" : "s"} in "${changeSetNameOf(context)}". ` +
+			"Undo with Ctrl+Z; export or apply change-sets in the settings (⚙).");
+};
+
+/**
+ * downloadChangeSet:
+ *   - Saves the overrides of context.graph as a change-set named after changeSetNameOf.
+ */
+export function downloadChangeSet(context) {
+	const name = changeSetNameOf(context);
+	const changeSet = { ...changeSetOf(context.graph, name), system: context.fileName ?? null };
+	const json = JSON.stringify(changeSet, null, 2);
+	downloadBlob(new Blob([json], { type: "application/json" }), `${name}.json`);
+}
+
+/**
+ * applyChangeSetFile:
+ *   - Reads a change-set file and applies it to context.graph as one undoable change,
+ *     telling the user about overrides whose target is not in this graph.
+ */
+export function applyChangeSetFile(context) {
+	return (file) => file.text()
+		.then(text => {
+			const changeSet = JSON.parse(text);
+			const { applied, missing } = applyChangeSetWithContext(context)(changeSet);
+			context.changeSetName ??= changeSet.name;
+			if (missing.length > 0) {
+				alert(`Applied ${applied.length} override(s) from "${file.name}". ` +
+					`${missing.length} target(s) are not in this graph:\n\n` +
+					missing.map(({ target }) => target).join("\n"));
+			}
+		})
+		.catch(err => {
+			alert(`Could not apply change-set "${file.name}": ${err.message}`);
+		});
+}
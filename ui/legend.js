@@ -0,0 +1,51 @@
+import { COLOR_ENCODINGS, legendEntriesWithContext } from '../render/coloring.js';
+
+/**
+ * drawLegend:
+ *   - Draws the legend for the bubble encodings in context.coloring in the corner of 'container'.
+ *   - Role stereotypes can be clicked to dim every other stereotype (context.stereotypeFilter),
+ *     and clicked again to undim.
+ *   - Nothing is drawn while neither the rim nor the bubble encodes anything.
+ */
+export const drawLegend = (context) => (container) => {
+	d3.select(container).select("#legend").remove();
+
+	const { rim = "none", bubble = "none" } = context.coloring ?? {};
+	const parts = [[bubble, "bubble"], [rim, "rim"]].filter(([id]) => id !== "none");
+
+	// Keep a way to clear a stereotype filter even when stereotypes are not colored
+	if (context.stereotypeFilter && !parts.some(([id]) => id === "roleStereotype")) {
+		parts.push(["roleStereotype", "filter"]);
+	}
+	if (parts.length === 0) return;
+
+	const legend = d3.select(container)
+		.append("div")
+		.attr("id", "legend");
+	const entriesOf = legendEntriesWithContext(context);
+
+	parts.forEach(([id, where]) => {
+		legend.append("h4").text(`${COLOR_ENCODINGS[id].label} (${where})`);
+
+		const items = legend.append("ul")
+			.selectAll("li")
+			.data(entriesOf(id))
+			.join("li");
+		items.append("span")
+			.attr("class", where === "rim" ? "swatch rim" : "swatch")
+			.style(where === "rim" ? "border-color" : "background-color", ([, hue]) => `hsl(${hue}, 90%, 40%)`);
+		items.append("span").text(([value]) => value);
+
+		if (id === "roleStereotype") {
+			items
+				.classed("selectable", true)
+				.classed("dimmed", ([value]) => context.stereotypeFilter !== null && context.stereotypeFilter !== value)
+				.attr("title", "Click to dim the other stereotypes")
+				.on("click", (event, [value]) => {
+					context.stereotypeFilter = context.stereotypeFilter === value ? null : value;
+					d3.select("#stereotype-filter").property("value", context.stereotypeFilter ?? "");
+					context.dispatcher.call("relayout");
+				});
+		}
+	});
+}
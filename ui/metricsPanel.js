@@ -0,0 +1,125 @@
+import { metricsTableOf } from '../model/metrics.js';
+import { drawnElementOf } from './searchBox.js';
+import { togglePanel } from '../utils/domUtils.js';
+
+// Columns per view; 'digits' rounds the ratios
+const COLUMNS = {
+	package: [
+		{ key: "name", label: "Package" },
+		{ key: "classes", label: "Classes" },
+		{ key: "ca", label: "Ca", title: "Afferent coupling" },
+		{ key: "ce", label: "Ce", title: "Efferent coupling" },
+		{ key: "instability", label: "I", title: "Instability", digits: 2 },
+		{ key: "abstractness", label: "A", title: "Abstractness", digits: 2 },
+		{ key: "distance", label: "D", title: "Distance from the main sequence", digits: 2 }
+	],
+	class: [
+		{ key: "name", label: "Class" },
+		{ key: "fanIn", label: "Fan-in" },
+		{ key: "fanOut", label: "Fan-out" }
+	]
+};
+
+const formatMetric = (value, digits) => value === null || value === undefined
+	? "–"
+	: (digits !== undefined ? value.toFixed(digits) : value);
+
+// Nulls sort last either way
+const compareBy = (key, ascending) => (a, b) => {
+	if (a[key] === null) return b[key] === null ? 0 : 1;
+	if (b[key] === null) return -1;
+	const order = typeof a[key] === "string" ? a[key].localeCompare(b[key]) : a[key] - b[key];
+	return ascending ? order : -order;
+};
+
+/**
+ * hideMetricsTable:
+ *   - Removes the metrics table, if shown.
+ */
+export function hideMetricsTable() {
+	d3.select("#metrics-panel").remove();
+}
+
+/**
+ * showMetricsTable:
+ *   - Shows the package and class metrics of context.graph in a panel with a sortable
+ *     table (click a header to sort, again to reverse). Clicking a row selects the node.
+ *   - The sort is kept in context.metricsView, so a rebuilt table sorts the same way.
+ */
+export function showMetricsTable(context) {
+	hideMetricsTable();
+
+	const rows = metricsTableOf(context.graph);
+	const state = (context.metricsView ??= { kind: "package", key: "distance", ascending: false });
+
+	const panel = d3.select("body")
+		.append("div")
+		.attr("id", "metrics-panel");
+
+	const title = panel.append("div").attr("class", "infotitle");
+	const picker = title.append("select")
+		.on("change", (event) => {
+			state.kind = event.target.value;
+			state.key = state.kind === "package" ? "distance" : "fanIn";
+			state.ascending = false;
+			render();
+		});
+	picker.selectAll("option")
+		.data([["package", "Packages"], ["class", "Classes"]])
+		.join("option")
+		.attr("value", ([value]) => value)
+		.property("selected", ([value]) => value === state.kind)
+		.text(([, label]) => label);
+	title.append("button")
+		.attr("class", "close")
+		.attr("title", "Close")
+		.text("×")
+		.on("click", hideMetricsTable);
+
+	const table = panel.append("div").attr("class", "metrics-scroll").append("table");
+
+	const render = () => {
+		const columns = COLUMNS[state.kind];
+		const sorted = rows.filter(row => row.kind === state.kind).sort(compareBy(state.key, state.ascending));
+
+		table.selectChildren().remove();
+		table.append("thead").append("tr")
+			.selectAll("th")
+			.data(columns)
+			.join("th")
+			.attr("title", column => column.title ?? null)
+			.classed("sorted", column => column.key === state.key)
+			.text(column => column.label + (column.key === state.key ? (state.ascending ? " ▲" : " ▼") : ""))
+			.on("click", (event, column) => {
+				state.ascending = column.key === state.key ? !state.ascending : column.key === "name";
+				state.key = column.key;
+				render();
+			});
+
+		table.append("tbody")
+			.selectAll("tr")
+			.data(sorted)
+			.join("tr")
+			.on("click", (event, row) => {
+				const rendered = drawnElementOf(row.node.id());
+				if (rendered) {
+					context.dispatcher.call("select", event, row.node, rendered);
+				}
+			})
+			.selectAll("td")
+			.data(row => columns.map(column => formatMetric(row[column.key], column.digits)))
+			.join("td")
+			.text(value => value);
+	};
+
+	render();
+}
+
+/**
+ * initMetricsTable:
+ *   - Enables the titlebar metrics button for the loaded graph.
+ *   - A table left open is rebuilt, e.g. for another graph or after an edit.
+ */
+export function initMetricsTable(context) {
+	togglePanel("metrics-button", "metrics-panel", () => showMetricsTable(context), () => hideMetricsTable());
+}
@@ -0,0 +1,261 @@
+import { DSM_RELATIONS, dsmOf, itemOfWithin } from '../model/dsm.js';
+import { nameOf } from '../model/nodes.js';
+import { laneColors } from '../render/servingTable.js';
+import { dsmLanesWithContext } from './dsmPanel.js';
+import { renderedElementOf } from './searchBox.js';
+import { togglePanel } from '../utils/domUtils.js';
+
+const WIDTH = 560;
+const HEIGHT = 420;
+
+// How strongly packages are pulled into their band, and edge widths
+const BAND_STRENGTH = 1;
+const MIN_EDGE = 1;
+const MAX_EDGE = 8;
+
+// The running layout, stopped when the panel closes
+let simulation = null;
+
+/**
+ * packageBands:
+ *   - The horizontal bands of the package graph, top to bottom: one per row of the
+ *     serving table (lanes at one position share one), then cross-cutting. Each band
+ *     is the array of its lanes; 'bandOf' maps a lane key to its band index.
+ */
+const packageBands = (lanes) => {
+	const bands = d3.groups(lanes, lane => lane.position ?? Infinity)
+		.sort(([a], [b]) => a - b)
+		.map(([, grouped]) => grouped);
+	const bandOf = new Map(bands.flatMap((grouped, i) => grouped.map(lane => [lane.key, i])));
+	return { bands, bandOf };
+};
+
+/**
+ * hidePackageGraph:
+ *   - Removes the package graph, if shown, and stops its layout.
+ */
+export function hidePackageGraph(context) {
+	simulation?.stop();
+	simulation = null;
+	d3.select("#graph-panel").remove();
+	context?.dispatcher.on("select.packageGraph", null).on("deselect.packageGraph", null);
+}
+
+/**
+ * showPackageGraph:
+ *   - Shows the packages drawn in the serving table as a force-directed node-link
+ *     diagram: nodes colored like their lane (the dominant layers), pulled towards
+ *     a band per row of the serving table, and edges as thick as their weight
+ *     (lifted calls or dependsOn). Edges up to a higher lane, against the layer order,
+ *     are red; edges from or to cross-cutting packages are not.
+ *   - Shares context.dispatcher: clicking a package selects it in the serving table
+ *     (and the info panel), and selecting there marks the package here.
+ */
+export function showPackageGraph(context) {
+	hidePackageGraph(context);
+	const state = (context.packageGraphView ??= { relation: "dependsOn" });
+	let selecting = false; // while the graph itself selects
+
+	const panel = d3.select("body")
+		.append("div")
+		.attr("id", "graph-panel");
+
+	const title = panel.append("div").attr("class", "infotitle");
+	title.append("select")
+		.on("change", (event) => {
+			state.relation = event.target.value;
+			showPackageGraph(context);
+		})
+		.selectAll("option")
+		.data(Object.entries(DSM_RELATIONS))
+		.join("option")
+		.attr("value", ([value]) => value)
+		.property("selected", ([value]) => value === state.relation)
+		.text(([, { label }]) => label);
+	title.append("button")
+		.attr("class", "close")
+		.attr("title", "Close")
+		.text("×")
+		.on("click", () => hidePackageGraph(context));
+
+	const lanes = dsmLanesWithContext(context)("package");
+	const { bands, bandOf } = packageBands(lanes);
+	const bandHeight = HEIGHT / Math.max(bands.length, 1);
+	const bandY = (i) => (i + 0.5) * bandHeight;
+
+	const nodes = lanes.flatMap(lane => lane.items.map(({ node, dimmed }) => ({
+		node,
+		dimmed,
+		lane: lane.key,
+		position: lane.position,
+		band: bandOf.get(lane.key),
+		classes: (context.bubbleTeaData ?? []).find(tea => tea.package === node)?.bubbleData.length ?? 0
+	})));
+	if (nodes.length === 0) {
+		panel.append("p").attr("class", "notice").text("Nothing is drawn in the serving table.");
+		return;
+	}
+
+	nodes.forEach(d => {
+		d.x = WIDTH / 2 + (Math.random() - 0.5) * WIDTH * 0.5;
+		d.y = bandY(d.band);
+	});
+
+	const items = nodes.map(d => d.node);
+	const itemOf = itemOfWithin(items);
+	const byNode = new Map(nodes.map(d => [d.node, d]));
+	const { cells, max } = dsmOf(context.graph, items, {
+		relation: state.relation,
+		positionOf: item => byNode.get(item).position
+	});
+	const links = cells.map(cell => ({
+		source: byNode.get(cell.source),
+		target: byNode.get(cell.target),
+		weight: cell.weight,
+		upward: cell.against
+	}));
+
+	const svg = panel.append("svg")
+		.attr("width", WIDTH)
+		.attr("height", HEIGHT)
+		.attr("viewBox", [0, 0, WIDTH, HEIGHT].join(" "));
+
+	svg.append("defs")
+		.selectAll("marker")
+		.data(["down", "up"])
+		.join("marker")
+		.attr("id", direction => `graph-arrow-${direction}`)
+		.attr("viewBox", "0 -5 10 10")
+		.attr("refX", 10)
+		.attr("markerWidth", 4)
+		.attr("markerHeight", 4)
+		.attr("orient", "auto")
+		.append("path")
+		.attr("d", "M0,-5L10,0L0,5")
+		.attr("class", direction => `graph-arrow ${direction}`);
+
+	// Bands, with the colors of their (first) lane
+	svg.append("g")
+		.selectAll("rect")
+		.data(bands)
+		.join("rect")
+		.attr("class", "graph-band")
+		.attr("x", 0)
+		.attr("y", (_, i) => i * bandHeight)
+		.attr("width", WIDTH)
+		.attr("height", bandHeight)
+		.attr("fill", grouped => laneColors(grouped[0].key).fill)
+		.append("title")
+		.text(grouped => grouped.map(lane => lane.key || "Cross-cutting").join(" | "));
+
+	const view = svg.append("g");
+	svg.call(d3.zoom().scaleExtent([0.25, 4]).on("zoom", ({ transform }) => view.attr("transform", transform)));
+
+	const edgeWidth = d3.scaleSqrt().domain([1, Math.max(max, 1)]).range([MIN_EDGE, MAX_EDGE]);
+	const link = view.append("g")
+		.selectAll("line")
+		.data(links)
+		.join("line")
+		.attr("class", "graph-edge")
+		.classed("upward", d => d.upward)
+		.attr("stroke-width", d => edgeWidth(d.weight))
+		.attr("marker-end", d => `url(#graph-arrow-${d.upward ? "up" : "down"})`);
+	link.append("title")
+		.text(d => `${nameOf(d.source.node)} → ${nameOf(d.target.node)}: ${d.weight}${d.upward ? " (against the layer order)" : ""}`);
+
+	const radius = (d) => 4 + 2 * Math.sqrt(d.classes);
+	const node = view.append("g")
+		.selectAll("g")
+		.data(nodes)
+		.join("g")
+		.attr("class", "graph-node")
+		.classed("dimmed", d => d.dimmed)
+		.on("click", (event, d) => {
+			const element = renderedElementOf(d.node);
+			if (!element) return;
+			selecting = true;
+			context.dispatcher.call("select", event, d3.select(element).datum(), element);
+			selecting = false;
+			mark(d);
+		});
+	node.append("circle")
+		.attr("r", radius)
+		.attr("fill", d => laneColors(d.lane).stroke);
+	node.append("text")
+		.attr("x", d => radius(d) + 2)
+		.text(d => d.node.property("simpleName") ?? d.node.id());
+	node.append("title")
+		.text(d => `${nameOf(d.node)} (${d.lane || "Cross-cutting"})`);
+
+	const mark = (selected) => {
+		node.classed("selected", d => d === selected);
+		link.classed("selected", d => d.source === selected || d.target === selected);
+	};
+
+	node.call(d3.drag()
+		.on("start", (event, d) => {
+			if (!event.active) simulation.alphaTarget(0.3).restart();
+			d.fx = d.x;
+			d.fy = d.y;
+		})
+		.on("drag", (event, d) => {
+			d.fx = event.x;
+			d.fy = event.y;
+		})
+		.on("end", (event, d) => {
+			if (!event.active) simulation.alphaTarget(0);
+			d.fx = null;
+			d.fy = null;
+		}));
+
+	// Ends edges at the rim of their target, for the arrowheads
+	const towardsRim = (d) => {
+		const dx = d.target.x - d.source.x;
+		const dy = d.target.y - d.source.y;
+		const length = Math.hypot(dx, dy) || 1;
+		return { x: d.target.x - dx / length * radius(d.target), y: d.target.y - dy / length * radius(d.target) };
+	};
+
+	// Keeps a package inside its band
+	const withinBand = (d) => Math.min(Math.max(d.y, d.band * bandHeight + radius(d)), (d.band + 1) * bandHeight - radius(d));
+
+	simulation = d3.forceSimulation(nodes)
+		.force("link", d3.forceLink(links).strength(d => 0.05 + 0.25 * d.weight / (max || 1)).distance(60))
+		.force("charge", d3.forceManyBody().strength(-60))
+		.force("collide", d3.forceCollide(d => radius(d) + 2))
+		.force("x", d3.forceX(WIDTH / 2).strength(0.02))
+		.force("band", d3.forceY(d => bandY(d.band)).strength(BAND_STRENGTH))
+		.on("tick", () => {
+			nodes.forEach(d => {
+				d.y = withinBand(d);
+			});
+			link
+				.attr("x1", d => d.source.x)
+				.attr("y1", d => d.source.y)
+				.attr("x2", d => towardsRim(d).x)
+				.attr("y2", d => towardsRim(d).y);
+			node.attr("transform", d => `translate(${d.x}, ${d.y})`);
+		});
+
+	// Follows the selection in the serving table (and the other views)
+	context.dispatcher
+		.on("select.packageGraph", (selected) => {
+			if (selecting) return;
+			const item = selected ? itemOf(selected) : null;
+			mark(item ? byNode.get(item) : null);
+		})
+		.on("deselect.packageGraph", () => mark(null));
+
+	const current = context.lastSelection ? d3.select(context.lastSelection).datum() : null;
+	const item = current ? itemOf(current) : null;
+	mark(item ? byNode.get(item) : null);
+}
+
+/**
+ * initPackageGraph:
+ *   - Enables the titlebar package graph button for the loaded graph.
+ *   - A graph left open is rebuilt, e.g. for another graph or after a redraw.
+ */
+export function initPackageGraph(context) {
+	togglePanel("graph-button", "graph-panel", () => showPackageGraph(context), () => hidePackageGraph(context));
+}
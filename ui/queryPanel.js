@@ -0,0 +1,73 @@
+import { match } from '../graph/query.js';
+import { drawnElementOf } from './searchBox.js';
+
+// Short human-readable name for a bound node or edge
+const describe = (element) => {
+	if (typeof element.label === "function") {
+		const source = element.source()?.property("simpleName") ?? element.data.source;
+		const target = element.target()?.property("simpleName") ?? element.data.target;
+		return `${source} -[${element.label()}]-> ${target}`;
+	}
+	return element.property("qualifiedName") ?? element.property("simpleName") ?? element.id();
+};
+
+export const displayQueryResults = (context) => (sel) => (pattern) => {
+
+	const element = d3.select(sel);
+	element.selectChildren().remove();
+
+	let results;
+	try {
+		results = match(context.graph, pattern);
+	} catch (err) {
+		element.append('h2').text("Query error");
+		element.append('p').attr("class", "notice").text(err.message);
+		return;
+	}
+
+	element.append('h2').text(`${results.length} match${results.length === 1 ? "" : "es"}`);
+	element.append('p').attr("class", "notice").text(pattern);
+
+	const ul = element.append("ul");
+	results.forEach((bindings, i) => {
+		const li = ul.append("li").attr("class", "info");
+
+		li.append('h3')
+			.attr("class", "info")
+			.text(`#${i + 1}`);
+
+		const innerUl = li.append('div').attr("class", "info").append("ul");
+		Object.entries(bindings).forEach(([variable, bound]) => {
+			const item = innerUl.append("li")
+				.attr("class", "query-binding")
+				.text(`${variable}: ${describe(bound)}`);
+
+			// Nodes drawn in the serving table can be selected straight from the results
+			if (typeof bound.label !== "function") {
+				const rendered = drawnElementOf(bound.id());
+				if (rendered) {
+					item.classed("selectable", true)
+						.on("click", (event) => context.dispatcher.call("select", event, bound, rendered));
+				}
+			}
+		});
+	});
+}
+
+/**
+ * initQueryBox:
+ *   - Hooks the titlebar query form up to the graph in 'context'.
+ *   - Results go to the info panel; selecting a bound node fires the usual "select" event.
+ */
+export function initQueryBox(context) {
+	const showResults = displayQueryResults(context)("#info-panel");
+
+	d3.select("#query-form")
+		.on("submit.query", (event) => {
+			event.preventDefault();
+			const pattern = d3.select("#query-input").property("value").trim();
+			if (pattern) {
+				showResults(pattern);
+			}
+		});
+}
@@ -0,0 +1,147 @@
+import { searchGraph } from '../model/search.js';
+import { ancestorsOf } from '../model/lifting.js';
+import { getPositionWithin } from '../utils/domUtils.js';
+
+const MAX_RESULTS = 30;
+
+// How far a result may be zoomed in, and how much of the view it may fill
+const MAX_ZOOM = 4;
+const FILL = 0.5;
+
+/**
+ * drawnElementOf:
+ *   - The .tea or .bubble drawn in the serving table for the node with ID 'id', or null.
+ *   - Looks the element up by ID rather than through a selector, as node IDs may hold quotes.
+ */
+export function drawnElementOf(id) {
+	const element = document.getElementById(id);
+	return element?.closest("#serving-table") ? element : null;
+}
+
+/**
+ * renderedElementOf:
+ *   - The element standing for a node in the serving table: its own .tea or .bubble,
+ *     otherwise that of the nearest ancestor drawn (the class of a method, the folded
+ *     package around a class). Returns null if nothing is drawn for it.
+ */
+export function renderedElementOf(node) {
+	for (const candidate of [node, ...ancestorsOf(node)]) {
+		const rendered = drawnElementOf(candidate.id());
+		if (rendered) return rendered;
+	}
+	return null;
+}
+
+/**
+ * zoomToElement:
+ *   - Animates the zoom of the serving table (context.zoom, see setupZoomAndResize)
+ *     so that 'element' is centered and fills part of the view.
+ */
+export const zoomToElement = (context) => (element) => {
+	const svg = d3.select("#chart-container svg");
+	if (!context.zoom || svg.empty()) return;
+
+	const { width, height, cx, cy } = getPositionWithin(d3.select(element), d3.select("#serving-table"));
+	const viewWidth = svg.node().clientWidth || +svg.attr("width");
+	const viewHeight = svg.node().clientHeight || +svg.attr("height");
+	const k = Math.min(MAX_ZOOM, FILL * Math.min(viewWidth / (width || 1), viewHeight / (height || 1)));
+	if (!(k > 0)) return;
+
+	const transform = d3.zoomIdentity
+		.translate(viewWidth / 2 - k * cx, viewHeight / 2 - k * cy)
+		.scale(k);
+	svg.transition().duration(750).call(context.zoom.transform, transform);
+};
+
+/**
+ * revealNode:
+ *   - Zooms to the element drawn for 'node' and selects it, so the info panel and
+ *     arrows update. Returns false if nothing is drawn for the node.
+ */
+export const revealNode = (context) => (node, event = null) => {
+	const element = renderedElementOf(node);
+	if (!element) return false;
+
+	zoomToElement(context)(element);
+	context.dispatcher.call("select", event, d3.select(element).datum(), element);
+	return true;
+};
+
+/**
+ * initSearchBox:
+ *   - Hooks the titlebar search field up to the graph in 'context': typing lists the
+ *     best fuzzy matches below it (see model/search.js), and picking one, by click or
+ *     with the arrow keys and Enter, zooms to it and selects it. Escape closes the list.
+ */
+export function initSearchBox(context) {
+	const input = d3.select("#search-input").property("disabled", false);
+	const list = d3.select("#search-results");
+	const reveal = revealNode(context);
+	let results = [];
+	let active = -1;
+
+	const close = () => {
+		list.selectChildren().remove();
+		list.style("display", "none");
+		results = [];
+		active = -1;
+	};
+
+	const pick = (result, event) => {
+		close();
+		if (!reveal(result.node, event)) {
+			alert(`"${result.node.property("simpleName")}" is not drawn in the serving table.`);
+		}
+	};
+
+	const render = () => {
+		list.selectChildren().remove();
+		list.style("display", results.length > 0 ? null : "none");
+
+		const items = list.selectAll("li")
+			.data(results)
+			.join("li")
+			.classed("active", (_, i) => i === active)
+			.attr("title", ({ node }) => node.property("qualifiedName") ?? node.id())
+			.on("mousedown", (event, result) => {
+				// Before the field loses focus and closes the list
+				event.preventDefault();
+				pick(result, event);
+			});
+		items.append("span")
+			.attr("class", "search-kind")
+			.text(({ kind }) => kind);
+		items.append("span")
+			.attr("class", "search-name")
+			.text(({ node }) => node.property("simpleName") ?? node.id());
+		items.filter(({ field }) => field !== "simpleName")
+			.append("span")
+			.attr("class", "search-field")
+			.text(({ field }) => `(${field})`);
+	};
+
+	input
+		.property("value", "")
+		.on("input.search", (event) => {
+			results = searchGraph(context.graph, event.target.value, { limit: MAX_RESULTS });
+			active = results.length > 0 ? 0 : -1;
+			render();
+		})
+		.on("keydown.search", (event) => {
+			if (event.key === "ArrowDown" || event.key === "ArrowUp") {
+				event.preventDefault();
+				if (results.length === 0) return;
+				const step = event.key === "ArrowDown" ? 1 : -1;
+				active = (active + step + results.length) % results.length;
+				render();
+			} else if (event.key === "Enter") {
+				event.preventDefault();
+				if (active >= 0) pick(results[active], event);
+			} else if (event.key === "Escape") {
+				close();
+			}
+		})
+		.on("blur.search", close);
+
+	close();
+}
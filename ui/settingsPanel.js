@@ -0,0 +1,293 @@
+import { dominanceStrategies, resolveDominance } from '../model/dominance.js';
+import { DEFAULT_WEIGHTING, numericPropertiesOf, weightMetrics } from '../model/weighting.js';
+import { collapseToLevel, collapsibleLevelsOf } from '../model/hierarchy.js';
+import { COLOR_ENCODINGS, DEFAULT_COLORING, legendEntriesWithContext } from '../render/coloring.js';
+import { changeSetOf } from '../model/overrides.js';
+import { applyChangeSetFile, changeSetNameOf, downloadChangeSet } from './layerOverride.js';
+import { togglePanel } from '../utils/domUtils.js';
+
+/**
+ * dominanceSettings:
+ *   - Strategy picker and threshold inputs for context.dominance.
+ *   - Every change fires "relayout", so the serving table is re-categorized right away.
+ */
+const dominanceSettings = (context) => (sel) => {
+	const section = d3.select(sel);
+	section.append("h3").attr("class", "info").text("Layer dominance");
+
+	const select = section.append("select").attr("id", "dominance-strategy");
+	const description = section.append("p").attr("class", "notice");
+	const inputs = section.append("div").attr("class", "settings-params");
+	section.append("p")
+		.attr("class", "notice")
+		.text("Combinations without a lane of their own (layers not joined by an allowed dependency, or more than two) are drawn as cross-cutting.");
+
+	select.selectAll("option")
+		.data(Object.entries(dominanceStrategies))
+		.join("option")
+		.attr("value", ([id]) => id)
+		.text(([, strategy]) => strategy.label);
+
+	const render = () => {
+		const { id, strategy, params } = resolveDominance(context.dominance);
+		select.property("value", id);
+		description.text(strategy.description);
+
+		inputs.selectChildren().remove();
+		Object.entries(strategy.params).forEach(([key, { label, min, max, step }]) => {
+			const row = inputs.append("label");
+			row.append("span").text(label);
+			row.append("input")
+				.attr("type", "number")
+				.attr("min", min)
+				.attr("max", max)
+				.attr("step", step)
+				.property("value", params[key])
+				.on("input", (event) => {
+					const value = event.target.valueAsNumber;
+					if (!Number.isFinite(value)) return;
+					context.dominance = { strategy: id, params: { ...context.dominance?.params, [key]: value } };
+					context.dispatcher.call("relayout");
+				});
+		});
+	};
+
+	select.on("change", (event) => {
+		// Thresholds of one strategy mean nothing to another, so start from its defaults
+		context.dominance = { strategy: event.target.value, params: {} };
+		render();
+		context.dispatcher.call("relayout");
+	});
+
+	render();
+};
+
+/**
+ * weightingSettings:
+ *   - What methods and classes weigh in the layer compositions (context.weighting).
+ *   - The "Numeric property" metric is offered only if some method or class has one.
+ */
+const weightingSettings = (context) => (sel) => {
+	const section = d3.select(sel);
+	section.append("h3").attr("class", "info").text("Layer composition");
+
+	const properties = numericPropertiesOf(context.graph.nodes(
+		node => ["Structure", "Operation", "Constructor"].some(label => node.hasLabel(label))
+	));
+	const weighting = () => ({ ...DEFAULT_WEIGHTING, property: properties[0] ?? null, ...context.weighting });
+
+	const update = (changes) => {
+		context.weighting = { ...weighting(), ...changes };
+		propertyRow.style("display", [context.weighting.methods, context.weighting.classes].includes("property") ? null : "none");
+		context.dispatcher.call("relayout");
+	};
+
+	const inputs = section.append("div").attr("class", "settings-params");
+	const metricOptions = Object.entries(weightMetrics)
+		.filter(([id]) => id !== "property" || properties.length > 0)
+		.map(([id, { label }]) => [id, label]);
+
+	const methodRow = inputs.append("label");
+	methodRow.append("span").text("Methods weighted by");
+	methodRow.append("select")
+		.on("change", (event) => update({ methods: event.target.value }))
+		.selectAll("option")
+		.data(metricOptions)
+		.join("option")
+		.attr("value", ([id]) => id)
+		.property("selected", ([id]) => id === weighting().methods)
+		.text(([, label]) => label);
+
+	const classRow = inputs.append("label");
+	classRow.append("span").text("Classes weighted by");
+	classRow.append("select")
+		.on("change", (event) => update({ classes: event.target.value }))
+		.selectAll("option")
+		.data([["equal", "Equally"], ...metricOptions])
+		.join("option")
+		.attr("value", ([id]) => id)
+		.property("selected", ([id]) => id === weighting().classes)
+		.text(([, label]) => label);
+
+	const propertyRow = inputs.append("label")
+		.style("display", [weighting().methods, weighting().classes].includes("property") ? null : "none");
+	propertyRow.append("span").text("Property");
+	propertyRow.append("select")
+		.on("change", (event) => update({ property: event.target.value }))
+		.selectAll("option")
+		.data(properties)
+		.join("option")
+		.attr("value", key => key)
+		.property("selected", key => key === weighting().property)
+		.text(key => key);
+};
+
+/**
+ * hierarchySettings:
+ *   - Folds nested packages level by level (context.collapsed); level k keeps the
+ *     top k levels of packages apart and rolls everything below them up.
+ *   - Left out for graphs without nested packages.
+ */
+const hierarchySettings = (context) => (sel) => {
+	const levels = collapsibleLevelsOf(context.graph);
+	if (levels.length === 0) return;
+
+	const section = d3.select(sel);
+	section.append("h3").attr("class", "info").text("Package hierarchy");
+
+	const buttons = section.append("div").attr("class", "settings-levels");
+	const choose = (collapsed) => {
+		context.collapsed = collapsed;
+		context.dispatcher.call("relayout");
+	};
+	buttons.selectAll("button.level")
+		.data(levels)
+		.join("button")
+		.attr("class", "sidebar level")
+		.attr("title", depth => `Show ${depth + 1} level${depth === 0 ? "" : "s"} of packages`)
+		.text(depth => depth + 1)
+		.on("click", (event, depth) => choose(collapseToLevel(context.graph, depth)));
+	buttons.append("button")
+		.attr("class", "sidebar")
+		.text("Expand all")
+		.on("click", () => choose(new Set()));
+
+	section.append("p")
+		.attr("class", "notice")
+		.text("Double-click a package to fold it into the package above it, or to unfold it again.");
+};
+
+/**
+ * bubbleSettings:
+ *   - What the rim and the whole of each class bubble encode (context.coloring),
+ *     and which role stereotype stays undimmed (context.stereotypeFilter).
+ */
+const bubbleSettings = (context) => (sel) => {
+	const section = d3.select(sel);
+	section.append("h3").attr("class", "info").text("Bubbles");
+	const inputs = section.append("div").attr("class", "settings-params");
+
+	[["rim", "Rim color"], ["bubble", "Bubble color"]].forEach(([part, label]) => {
+		const row = inputs.append("label");
+		row.append("span").text(label);
+		row.append("select")
+			.on("change", (event) => {
+				context.coloring = { ...DEFAULT_COLORING, ...context.coloring, [part]: event.target.value };
+				context.dispatcher.call("relayout");
+			})
+			.selectAll("option")
+			.data(Object.entries(COLOR_ENCODINGS))
+			.join("option")
+			.attr("value", ([id]) => id)
+			.property("selected", ([id]) => id === (context.coloring?.[part] ?? "none"))
+			.text(([id, encoding]) => id === "none" && part === "bubble" ? "Layers (pie)" : encoding.label);
+	});
+
+	const stereotypes = legendEntriesWithContext(context)("roleStereotype").map(([value]) => value);
+	if (stereotypes.length === 0) return;
+
+	const row = inputs.append("label");
+	row.append("span").text("Highlight stereotype");
+	row.append("select")
+		.attr("id", "stereotype-filter")
+		.on("change", (event) => {
+			context.stereotypeFilter = event.target.value || null;
+			context.dispatcher.call("relayout");
+		})
+		.selectAll("option")
+		.data(["", ...stereotypes])
+		.join("option")
+		.attr("value", value => value)
+		.property("selected", value => value === (context.stereotypeFilter ?? ""))
+		.text(value => value || "All");
+};
+
+/**
+ * whatIfSettings:
+ *   - Names, exports and applies the change-set of layer overrides (see model/overrides.js).
+ *     Overrides themselves are made from the info panel.
+ */
+const whatIfSettings = (context) => (sel) => {
+	const section = d3.select(sel);
+	section.append("h3").attr("class", "info").text("What-if layers");
+
+	const inputs = section.append("div").attr("class", "settings-params");
+	const nameRow = inputs.append("label");
+	nameRow.append("span").text("Change-set");
+	nameRow.append("input")
+		.attr("type", "text")
+		.attr("id", "change-set-name")
+		.property("value", changeSetNameOf(context))
+		.on("change", (event) => {
+			context.changeSetName = event.target.value.trim() || null;
+		});
+
+	const count = section.append("p").attr("class", "notice");
+	const updateCount = () => {
+		const n = changeSetOf(context.graph).overrides.length;
+		count.text(`${n} override${n === 1 ? "" : "s"}. Pick a layer for a class, method or package in the info panel.`);
+	};
+	updateCount();
+	context.graph.on("change.whatIfSettings", updateCount);
+
+	const buttons = section.append("div").attr("class", "settings-levels");
+	buttons.append("button")
+		.attr("class", "sidebar")
+		.text("Export")
+		.on("click", () => downloadChangeSet(context));
+	const fileInput = buttons.append("input")
+		.attr("type", "file")
+		.attr("accept", ".json")
+		.style("display", "none")
+		.on("change", (event) => {
+			const [file] = event.target.files;
+			if (file) applyChangeSetFile(context)(file);
+			event.target.value = "";
+		});
+	buttons.append("button")
+		.attr("class", "sidebar")
+		.text("Apply…")
+		.on("click", () => fileInput.node().click());
+};
+
+// Sections of the panel, top to bottom
+const sections = [hierarchySettings, bubbleSettings, weightingSettings, dominanceSettings, whatIfSettings];
+
+/**
+ * hideSettingsPanel:
+ *   - Removes the settings panel, if shown.
+ */
+export function hideSettingsPanel() {
+	d3.select("#settings-panel").remove();
+}
+
+/**
+ * showSettingsPanel:
+ *   - Shows the settings for 'context' in a panel below the titlebar.
+ */
+export function showSettingsPanel(context) {
+	hideSettingsPanel();
+
+	const panel = d3.select("body")
+		.append("div")
+		.attr("id", "settings-panel");
+
+	const title = panel.append("div").attr("class", "infotitle");
+	title.append("span").text("Settings");
+	title.append("button")
+		.attr("class", "close")
+		.attr("title", "Close")
+		.text("×")
+		.on("click", hideSettingsPanel);
+
+	sections.forEach(section => section(context)(panel.append("section").node()));
+}
+
+/**
+ * initSettingsPanel:
+ *   - Enables the titlebar settings button for the loaded graph.
+ *   - A panel left open for the previous graph is rebuilt for this one.
+ */
+export function initSettingsPanel(context) {
+	togglePanel("settings-button", "settings-panel", () => showSettingsPanel(context), () => hideSettingsPanel());
+}
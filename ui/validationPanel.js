@@ -0,0 +1,54 @@
+// Caps the list so a badly broken file does not freeze the page
+const MAX_FINDINGS = 500;
+
+/**
+ * clearValidationReport:
+ *   - Removes the validation panel, if shown.
+ */
+export function clearValidationReport() {
+	d3.select("#validation-panel").remove();
+}
+
+/**
+ * showValidationReport:
+ *   - Shows the errors and warnings of validateGraphData in a dismissible
+ *     panel in the bottom-right corner. Nothing is shown for a clean report.
+ *
+ * @param {{ errors: Array, warnings: Array }} report - Output of validateGraphData.
+ * @param {String} fileName - Name of the validated file, for the title.
+ */
+export function showValidationReport(report, fileName) {
+	clearValidationReport();
+
+	const { errors, warnings } = report;
+	if (errors.length === 0 && warnings.length === 0) return;
+
+	const panel = d3.select("body")
+		.append("div")
+		.attr("id", "validation-panel");
+
+	const title = panel.append("div").attr("class", "infotitle");
+	title.append("span")
+		.text(`${fileName}: ${errors.length} error${errors.length === 1 ? "" : "s"}, ` +
+			`${warnings.length} warning${warnings.length === 1 ? "" : "s"}`);
+	title.append("button")
+		.attr("class", "close")
+		.attr("title", "Dismiss")
+		.text("×")
+		.on("click", clearValidationReport);
+
+	const findings = [
+		...errors.map(f => ({ ...f, severity: "error" })),
+		...warnings.map(f => ({ ...f, severity: "warning" }))
+	];
+
+	const ul = panel.append("ul");
+	findings.slice(0, MAX_FINDINGS).forEach(({ path, message, severity }) => {
+		const li = ul.append("li").attr("class", severity);
+		li.append("code").text(path);
+		li.append("span").text(` ${message}`);
+	});
+	if (findings.length > MAX_FINDINGS) {
+		ul.append("li").text(`… and ${findings.length - MAX_FINDINGS} more`);
+	}
+}
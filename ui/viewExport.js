@@ -0,0 +1,280 @@
+import { downloadBlob, togglePanel } from '../utils/domUtils.js';
+
+// Loaded on first PDF export only, like d3 as globals (window.jspdf, jsPDF.API.svg)
+const PDF_SCRIPTS = [
+	"https://cdn.jsdelivr.net/npm/jspdf@2.5.1/dist/jspdf.umd.min.js",
+	"https://cdn.jsdelivr.net/npm/svg2pdf.js@2.2.3/dist/svg2pdf.umd.min.js"
+];
+
+// Presentation properties copied from the page's CSS onto each exported element
+const INLINED_STYLES = [
+	"fill", "fill-opacity", "stroke", "stroke-width", "stroke-opacity", "stroke-dasharray",
+	"opacity", "font-family", "font-size", "font-weight", "font-style", "text-anchor",
+	"dominant-baseline", "visibility"
+];
+
+// Room around the full table
+const MARGIN = 20;
+
+export const EXPORT_FORMATS = { svg: "SVG", png: "PNG", pdf: "PDF" };
+export const DEFAULT_EXPORT = { format: "svg", area: "full", dpi: 300, arrows: true, highlight: false };
+
+// Copies the computed styles of 'source' and its descendants onto 'target', a clone of it
+const inlineStyles = (source, target) => {
+	const computed = getComputedStyle(source);
+	const inlined = INLINED_STYLES
+		.map(property => [property, computed.getPropertyValue(property)])
+		.filter(([, value]) => value)
+		.map(([property, value]) => `${property}: ${value}`);
+	if (inlined.length > 0) {
+		target.setAttribute("style", [...inlined, target.getAttribute("style")].filter(Boolean).join("; "));
+	}
+	Array.from(source.children).forEach((child, i) => inlineStyles(child, target.children[i]));
+};
+
+/**
+ * serializeView:
+ *   - Turns the serving table <svg> into a standalone SVG document: its <defs>
+ *     (shadow, highlight filter, gradient) come along and CSS styles are inlined.
+ *   - 'area' is "full" for the whole table or "viewport" for what is in view now;
+ *     'arrows' and 'highlight' keep the dependency arrows and the selection halo.
+ *   - Returns { svg: <svg> element, text, width, height }, or null if nothing is drawn.
+ */
+export function serializeView({ area = "full", arrows = true, highlight = false } = {}) {
+	const original = document.querySelector("#chart-container svg");
+	if (!original) return null;
+
+	const clone = original.cloneNode(true);
+	inlineStyles(original, clone);
+	clone.removeAttribute("style");
+
+	const clonedTable = d3.select(clone).select("#serving-table");
+	if (!arrows) {
+		clonedTable.selectAll(".dep-line").remove();
+	}
+	if (!highlight) {
+		clonedTable.selectAll("[filter='url(#highlight)']").attr("filter", null);
+	}
+
+	let width, height, viewBox;
+	if (area === "viewport") {
+		width = original.clientWidth || +original.getAttribute("width");
+		height = original.clientHeight || +original.getAttribute("height");
+		viewBox = [0, 0, width, height];
+	} else {
+		// The table in its own coordinates, without the zoom
+		const bbox = original.querySelector("#serving-table").getBBox();
+		clonedTable.attr("transform", null);
+		width = bbox.width + 2 * MARGIN;
+		height = bbox.height + 2 * MARGIN;
+		viewBox = [bbox.x - MARGIN, bbox.y - MARGIN, width, height];
+	}
+
+	d3.select(clone)
+		.attr("xmlns", "http://www.w3.org/2000/svg")
+		.attr("xmlns:xlink", "http://www.w3.org/1999/xlink")
+		.attr("width", width)
+		.attr("height", height)
+		.attr("viewBox", viewBox.join(" "));
+
+	const text = new XMLSerializer().serializeToString(clone);
+	return { svg: clone, text, width, height };
+}
+
+/**
+ * rasterize:
+ *   - Draws a serialized view on a canvas at 'dpi' (96 is one CSS pixel per pixel)
+ *     and resolves to a PNG Blob.
+ */
+export function rasterize({ text, width, height }, dpi = DEFAULT_EXPORT.dpi) {
+	const scale = dpi / 96;
+	const url = URL.createObjectURL(new Blob([text], { type: "image/svg+xml" }));
+
+	return new Promise((resolve, reject) => {
+		const image = new Image();
+		image.onload = () => {
+			const canvas = document.createElement("canvas");
+			canvas.width = Math.ceil(width * scale);
+			canvas.height = Math.ceil(height * scale);
+			const ctx = canvas.getContext("2d");
+			ctx.fillStyle = "white";
+			ctx.fillRect(0, 0, canvas.width, canvas.height);
+			ctx.drawImage(image, 0, 0, canvas.width, canvas.height);
+			URL.revokeObjectURL(url);
+			canvas.toBlob(blob => blob ? resolve(blob) : reject(new Error("The canvas could not be encoded as PNG")), "image/png");
+		};
+		image.onerror = () => {
+			URL.revokeObjectURL(url);
+			reject(new Error("The SVG could not be drawn"));
+		};
+		image.src = url;
+	});
+}
+
+// Adds a <script> once and resolves when it has loaded
+const loadScript = (src) => new Promise((resolve, reject) => {
+	if (document.querySelector(`script[src='${src}']`)) return resolve();
+	const script = document.createElement("script");
+	script.src = src;
+	script.onload = resolve;
+	script.onerror = () => reject(new Error(`Could not load ${src}`));
+	document.head.appendChild(script);
+});
+
+/**
+ * toPdf:
+ *   - Converts a serialized view to a vector PDF (one page the size of the view, in points)
+ *     with jsPDF and svg2pdf.js, loading them on first use. Resolves to a PDF Blob.
+ */
+export async function toPdf({ svg, width, height }) {
+	for (const src of PDF_SCRIPTS) {
+		await loadScript(src);
+	}
+
+	const { jsPDF } = window.jspdf;
+	const pdf = new jsPDF({
+		orientation: width > height ? "landscape" : "portrait",
+		unit: "pt",
+		format: [width, height]
+	});
+
+	// svg2pdf reads styles through the DOM, so the clone is attached while it works
+	const holder = d3.select("body")
+		.append("div")
+		.style("position", "absolute")
+		.style("visibility", "hidden");
+	holder.node().appendChild(svg);
+	try {
+		await pdf.svg(svg, { x: 0, y: 0, width, height });
+	} finally {
+		holder.remove();
+	}
+	return pdf.output("blob");
+}
+
+/**
+ * exportView:
+ *   - Exports the serving table as SVG, PNG or PDF (see DEFAULT_EXPORT for the options)
+ *     and saves it next to the original file name.
+ */
+export async function exportView(context, options = {}) {
+	const { format, area, dpi, arrows, highlight } = { ...DEFAULT_EXPORT, ...options };
+	const view = serializeView({ area, arrows, highlight });
+	if (!view) {
+		alert("There is no view to export.");
+		return;
+	}
+
+	const baseName = (context.fileName ?? "graph").replace(/\.[^.]+$/, "");
+	const fileName = `${baseName}${area === "viewport" ? "-view" : ""}.${format}`;
+	try {
+		switch (format) {
+			case "svg":
+				downloadBlob(new Blob([view.text], { type: "image/svg+xml" }), fileName);
+				break;
+			case "png":
+				downloadBlob(await rasterize(view, dpi), fileName);
+				break;
+			case "pdf":
+				downloadBlob(await toPdf(view), fileName);
+				break;
+			default:
+				throw new Error(`Unknown export format "${format}"`);
+		}
+	} catch (err) {
+		alert(`Could not export the view as ${EXPORT_FORMATS[format] ?? format}: ${err.message}`);
+	}
+}
+
+/**
+ * hideExportPanel:
+ *   - Removes the export panel, if shown.
+ */
+export function hideExportPanel() {
+	d3.select("#export-panel").remove();
+}
+
+/**
+ * showExportPanel:
+ *   - Shows the export options (format, area, PNG resolution, arrows and highlight)
+ *     in a panel below the titlebar; they are kept in context.exportOptions.
+ */
+export function showExportPanel(context) {
+	hideExportPanel();
+	const options = (context.exportOptions ??= { ...DEFAULT_EXPORT });
+
+	const panel = d3.select("body")
+		.append("div")
+		.attr("id", "export-panel");
+
+	const title = panel.append("div").attr("class", "infotitle");
+	title.append("span").text("Export view");
+	title.append("button")
+		.attr("class", "close")
+		.attr("title", "Close")
+		.text("×")
+		.on("click", hideExportPanel);
+
+	const inputs = panel.append("section").append("div").attr("class", "settings-params");
+	const selectRow = (label, key, choices) => {
+		const row = inputs.append("label");
+		row.append("span").text(label);
+		return row.append("select")
+			.attr("id", `export-${key}`)
+			.on("change", (event) => {
+				options[key] = event.target.value;
+				dpiRow.style("display", options.format === "png" ? null : "none");
+			})
+			.selectAll("option")
+			.data(Object.entries(choices))
+			.join("option")
+			.attr("value", ([id]) => id)
+			.property("selected", ([id]) => id === options[key])
+			.text(([, text]) => text);
+	};
+	selectRow("Format", "format", EXPORT_FORMATS);
+	selectRow("Area", "area", { full: "Full table", viewport: "Current view" });
+
+	const dpiRow = inputs.append("label")
+		.style("display", options.format === "png" ? null : "none");
+	dpiRow.append("span").text("Resolution (DPI)");
+	dpiRow.append("input")
+		.attr("type", "number")
+		.attr("id", "export-dpi")
+		.attr("min", 72)
+		.attr("max", 1200)
+		.attr("step", 1)
+		.property("value", options.dpi)
+		.on("change", (event) => {
+			const value = +event.target.value;
+			if (value >= 72) options.dpi = value;
+		});
+
+	[["arrows", "Dependency arrows"], ["highlight", "Selection highlight"]].forEach(([key, label]) => {
+		const row = inputs.append("label");
+		row.append("span").text(label);
+		row.append("input")
+			.attr("type", "checkbox")
+			.attr("id", `export-${key}`)
+			.property("checked", options[key])
+			.on("change", (event) => {
+				options[key] = event.target.checked;
+			});
+	});
+
+	panel.select("section")
+		.append("button")
+		.attr("class", "sidebar")
+		.attr("id", "export-run")
+		.text("Export")
+		.on("click", () => exportView(context, options));
+}
+
+/**
+ * initExportPanel:
+ *   - Enables the titlebar export button for the loaded graph.
+ *   - A panel left open for the previous graph is rebuilt for this one.
+ */
+export function initExportPanel(context) {
+	togglePanel("export-button", "export-panel", () => showExportPanel(context), () => hideExportPanel());
+}
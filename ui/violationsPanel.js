@@ -0,0 +1,92 @@
+import { VIOLATION_KINDS, violationSummary } from '../model/violations.js';
+import { nameOf } from '../model/nodes.js';
+import { MAX_LIST_ITEMS } from './infoPanel.js';
+import { drawnElementOf } from './searchBox.js';
+import { downloadBlob } from '../utils/domUtils.js';
+
+// The bubble (or tea) a violation can be selected by: the class itself, or the class of a method
+const renderedNodeOf = (node) => {
+	const clasz = node.hasLabel("Structure") ? node : node.sources("hasScript")[0];
+	return clasz ? { node: clasz, rendered: drawnElementOf(clasz.id()) } : null;
+};
+
+export const displayViolations = (context) => (sel) => () => {
+
+	const element = d3.select(sel);
+	element.selectChildren().remove();
+
+	const violations = context.violations ?? [];
+	element.append('h2').text(`${violations.length} layer violation${violations.length === 1 ? "" : "s"}`);
+
+	if (violations.length === 0) {
+		element.append('p').attr("class", "notice").text("Every call follows the allowed dependencies between layers.");
+		return;
+	}
+
+	element.append('button')
+		.attr("class", "sidebar")
+		.text("Download as JSON")
+		.on("click", () => downloadViolations(context));
+
+	const sections = [
+		{ key: "classCalls", items: violations.filter(v => v.level === "class") },
+		{ key: "methodInvocations", items: violations.filter(v => v.level === "method") }
+	];
+
+	const ul = element.append("ul");
+	sections.filter(s => s.items.length > 0).forEach(section => {
+		const li = ul.append("li").attr("class", "info");
+
+		li.append('h3')
+			.attr("class", "info")
+			.text(`${section.key} (${section.items.length})`);
+
+		const innerUl = li.append('div')
+			.attr("class", "info")
+			.attr("style", "background-color: hsl(0, 100%, 95%);")
+			.append("ul");
+
+		section.items.slice(0, MAX_LIST_ITEMS).forEach(({ kind, source, target, sourceLayer, targetLayer }) => {
+			const text = `${nameOf(source)} (${sourceLayer}) → ${nameOf(target)} (${targetLayer}): ${VIOLATION_KINDS[kind]}`;
+			const item = innerUl.append("li")
+				.attr("class", "query-binding")
+				.attr("title", text)
+				.text(text);
+
+			// Selecting the caller shows the (red, dashed) arrows of its package
+			const selectable = renderedNodeOf(source);
+			if (selectable?.rendered) {
+				item.classed("selectable", true)
+					.on("click", (event) => context.dispatcher.call("select", event, selectable.node, selectable.rendered));
+			}
+		});
+		if (section.items.length > MAX_LIST_ITEMS) {
+			innerUl.append("li").text(`… and ${section.items.length - MAX_LIST_ITEMS} more`);
+		}
+	});
+}
+
+/**
+ * downloadViolations:
+ *   - Saves violationSummary(context.violations) next to the original file name.
+ */
+export function downloadViolations(context) {
+	const json = JSON.stringify(violationSummary(context.violations ?? []), null, 2);
+	const baseName = (context.fileName ?? "graph").replace(/\.[^.]+$/, "");
+	downloadBlob(new Blob([json], { type: "application/json" }), `${baseName}-violations.json`);
+}
+
+/**
+ * initViolationsPanel:
+ *   - Enables the violations button, which lists context.violations in the info panel.
+ *   - Its tooltip shows the current count; call again after context.violations changes.
+ */
+export function initViolationsPanel(context) {
+	const count = (context.violations ?? []).length;
+
+	d3.select("#violations-button")
+		.property("disabled", false)
+		.attr("title", `Layer violations (${count})`)
+		.classed("alert", count > 0)
+		.on("click.violations", () => displayViolations(context)("#info-panel")());
+}
@@ -101,6 +101,30 @@ export function getTransformedPosition(g) {
 	};
 }
 
+// ---- getPositionWithin --------------------------------------------------
+
+/**
+ * Like getTransformedPosition, but in the coordinates of an ancestor <g>:
+ * the transforms of every element in between are applied as well.
+ * 
+ * @param {d3.Selection} g - A D3 selection for the <g> element.
+ * @param {d3.Selection} ancestor - A D3 selection for an element containing it.
+ * @returns {Object} - An object with { x, y, width, height, cx, cy }.
+ */
+export function getPositionWithin(g, ancestor) {
+	let { x, y, width, height } = getTransformedPosition(g);
+
+	for (let node = g.node().parentNode; node && node !== ancestor.node(); node = node.parentNode) {
+		const { x: tx, y: ty, k } = parseTransform(node.getAttribute?.("transform"));
+		x = tx + x * k;
+		y = ty + y * k;
+		width *= k;
+		height *= k;
+	}
+
+	return { x, y, width, height, cx: x + width / 2, cy: y + height / 2 };
+}
+
 // ---- bringToFront -------------------------------------------------------
 
 /**
@@ -149,3 +173,45 @@ export function getOffsetPosition(elem) {
 		top: rect.top + window.scrollY
 	};
 }
+
+// ---- downloadBlob -------------------------------------------------------
+
+/**
+ * Offers a Blob to the user as a file download, via a temporary <a download> link.
+ * 
+ * @param {Blob} blob - The content to save.
+ * @param {string} fileName - The suggested file name.
+ */
+export function downloadBlob(blob, fileName) {
+	const url = URL.createObjectURL(blob);
+	const link = document.createElement('a');
+	link.href = url;
+	link.download = fileName;
+	document.body.appendChild(link);
+	link.click();
+	link.remove();
+	URL.revokeObjectURL(url);
+}
+
+// ---- togglePanel --------------------------------------------------------
+
+/**
+ * Enables a titlebar button that opens and closes a panel. A panel already
+ * open is rebuilt, e.g. for another graph or after a redraw.
+ * 
+ * @param {string} buttonId - The ID of the button.
+ * @param {string} panelId - The ID of the panel's element.
+ * @param {Function} show - Builds and shows the panel.
+ * @param {Function} hide - Removes the panel.
+ */
+export function togglePanel(buttonId, panelId, show, hide) {
+	const isOpen = () => !d3.select(`#${panelId}`).empty();
+
+	d3.select(`#${buttonId}`)
+		.property("disabled", false)
+		.on("click.toggle", () => isOpen() ? hide() : show());
+
+	if (isOpen()) {
+		show();
+	}
+}